@@ -0,0 +1,272 @@
+// Saved auction searches - stored per owner, matched against each auction scan
+//
+// Owners are anonymous: the browser keeps a random token and sends it as a bearer token.
+// Only a hash of the token is stored. Searches live in DATA_DIR/alerts/<owner>/<id>.json,
+// matches in DATA_DIR/alert-matches/<owner>.ndjson. Webhook deliveries go through webhooks.js.
+
+const crypto = require('crypto');
+const { store } = require('./store.js');
+const { isAllowedWebhookUrl, enqueueWebhook } = require('./webhooks.js');
+const { variantKey, itemEnchantments } = require('./pricing.js');
+
+const SEARCHES = 'alerts';
+const MATCHES = 'alert-matches';
+
+// Saved searches per owner
+const MAX_SEARCHES = 20;
+
+// Saved searches across all owners - owner tokens are free to make, so this is the real bound
+const MAX_TOTAL_SEARCHES = parseInt(process.env.ALERTS_MAX_TOTAL_SEARCHES) || 5000;
+
+// Matches kept per owner for in-page notifications
+const MAX_MATCHES = 100;
+
+// Listing keys remembered per search so a listing only alerts once
+const MAX_NOTIFIED = 1000;
+
+const OWNER_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * Owner id for a request's bearer token, or null
+ */
+function ownerFromRequest(req) {
+    const token = String(req.headers?.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!OWNER_TOKEN_PATTERN.test(token)) return null;
+    return crypto.createHash('sha256').update(token).digest('hex').slice(0, 32);
+}
+
+/**
+ * A list of player names from an array or comma-separated string
+ */
+function parseNames(value) {
+    const names = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(names.map(name => String(name).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Validate a saved search from a request body
+ * Returns { search } or { error }
+ */
+function validateSearch(body = {}) {
+    const rawItem = String(body.item || '').trim().toLowerCase();
+    if (!rawItem) return { error: 'item is required' };
+    if (!/^(minecraft:)?[a-z0-9_]{1,64}$/.test(rawItem)) return { error: 'item must be an item id such as netherite_sword' };
+    const item = rawItem.includes(':') ? rawItem : `minecraft:${rawItem}`;
+
+    let maxPrice = null;
+    if (body.max_price !== undefined && body.max_price !== null && body.max_price !== '') {
+        maxPrice = parseFloat(body.max_price);
+        if (!Number.isFinite(maxPrice) || maxPrice <= 0) return { error: 'max_price must be a positive number' };
+    }
+
+    // Required enchantments: { sharpness: 5 } or ['sharpness=5', 'mending']
+    const enchants = {};
+    const entries = Array.isArray(body.enchants)
+        ? body.enchants.map(entry => String(entry).split('='))
+        : Object.entries(body.enchants || {});
+    for (const [name, level = 1] of entries) {
+        const key = String(name).trim().toLowerCase().replace(/^minecraft:/, '');
+        const min = parseInt(level);
+        if (!/^[a-z_]{1,32}$/.test(key) || !(min >= 1 && min <= 255)) return { error: `Invalid enchantment: ${name}` };
+        enchants[key] = min;
+    }
+
+    const sellerInclude = parseNames(body.seller_include);
+    const sellerExclude = parseNames(body.seller_exclude);
+    if ([...sellerInclude, ...sellerExclude].some(name => !/^[a-z0-9_]{1,16}$/.test(name))) {
+        return { error: 'Seller names must be valid usernames' };
+    }
+
+    const webhookUrl = body.webhook_url ? String(body.webhook_url).trim() : null;
+    if (webhookUrl && !isAllowedWebhookUrl(webhookUrl)) return { error: 'webhook_url must be a public https URL' };
+
+    return {
+        search: {
+            name: String(body.name || '').replace(/[<>"'&]/g, '').trim().slice(0, 60) || item.replace('minecraft:', '').replace(/_/g, ' '),
+            item,
+            max_price: maxPrice,
+            enchants,
+            seller_include: sellerInclude,
+            seller_exclude: sellerExclude,
+            webhook_url: webhookUrl
+        }
+    };
+}
+
+/**
+ * Does a listing satisfy a saved search? max_price is per unit
+ */
+function matchesSearch(search, listing) {
+    const item = listing.item;
+    if (!item || item.id !== search.item || !listing.price) return false;
+
+    const unitPrice = listing.price / Math.max(1, item.count || 1);
+    if (search.max_price !== null && unitPrice > search.max_price) return false;
+
+    const enchantments = itemEnchantments(item);
+    for (const [name, level] of Object.entries(search.enchants)) {
+        if (!(enchantments[name] >= level)) return false;
+    }
+
+    const seller = String(listing.seller?.name || '').toLowerCase();
+    if (search.seller_include.length > 0 && !search.seller_include.includes(seller)) return false;
+    if (search.seller_exclude.includes(seller)) return false;
+
+    return true;
+}
+
+/**
+ * Identity of a listing across scans (time_left changes, the rest doesn't)
+ */
+function listingKey(listing) {
+    const seller = listing.seller?.uuid || listing.seller?.name || '';
+    return `${seller}|${variantKey(listing.item)}|${listing.item.count || 1}|${listing.price}`;
+}
+
+/**
+ * Saved search as returned by the API (internal bookkeeping removed)
+ */
+function publicSearch(search) {
+    const { owner, notified, ...rest } = search;
+    return rest;
+}
+
+/**
+ * Collection holding one owner's searches (alerts/<owner>)
+ */
+function ownerCollection(owner) {
+    return `${SEARCHES}/${owner}`;
+}
+
+async function listSearches(owner) {
+    const collection = ownerCollection(owner);
+    const searches = [];
+    for (const id of await store.listDocs(collection)) {
+        const search = await store.readDoc(collection, id);
+        if (search) searches.push(search);
+    }
+    return searches.sort((a, b) => a.created_at - b.created_at);
+}
+
+/**
+ * Save a validated search for an owner
+ * Returns { search } or { error } when the owner already has MAX_SEARCHES or all owners have MAX_TOTAL_SEARCHES
+ */
+async function createSearch(owner, fields) {
+    if ((await listSearches(owner)).length >= MAX_SEARCHES) {
+        return { error: `A maximum of ${MAX_SEARCHES} saved searches is allowed` };
+    }
+    if ((await store.listDocs(SEARCHES)).length >= MAX_TOTAL_SEARCHES) {
+        return { error: 'No more saved searches can be created right now' };
+    }
+
+    const search = {
+        id: crypto.randomBytes(8).toString('hex'),
+        owner,
+        ...fields,
+        created_at: Date.now(),
+        last_match_at: null,
+        notified: []
+    };
+    await store.writeDoc(ownerCollection(owner), search.id, search);
+    return { search };
+}
+
+/**
+ * Delete an owner's search, returning whether it existed
+ */
+async function deleteSearch(owner, id) {
+    if (!/^[a-f0-9]{16}$/.test(id)) return false;
+    const existing = await store.readDoc(ownerCollection(owner), id);
+    if (!existing) return false;
+    await store.deleteDoc(ownerCollection(owner), id);
+    return true;
+}
+
+/**
+ * An owner's matches newer than `since`, newest first
+ */
+async function getMatches(owner, since = 0) {
+    const matches = await store.read(MATCHES, owner);
+    return matches.filter(match => match.t > since).reverse();
+}
+
+/**
+ * Match every saved search (all owners) against a set of live listings.
+ * Each listing alerts a search once; matches are stored for the owner and queued for the webhook if set.
+ */
+async function evaluateSearches(listings, now = Date.now()) {
+    const summary = { searches: 0, matches: 0, webhooks_queued: 0 };
+
+    for (const id of await store.listDocs(SEARCHES)) {
+        const search = await store.readDoc(SEARCHES, id);
+        if (!search) continue;
+        summary.searches++;
+
+        const notified = new Set(search.notified);
+        const matches = [];
+        for (const listing of listings) {
+            if (!matchesSearch(search, listing)) continue;
+            const key = listingKey(listing);
+            if (notified.has(key)) continue;
+            notified.add(key);
+
+            const count = Math.max(1, listing.item.count || 1);
+            matches.push({
+                t: now,
+                key,
+                search_id: search.id,
+                search_name: search.name,
+                item: listing.item.id,
+                count,
+                price: listing.price,
+                unit_price: Math.round(listing.price / count),
+                enchants: itemEnchantments(listing.item),
+                seller: listing.seller?.name || null
+            });
+        }
+
+        if (matches.length === 0) continue;
+        summary.matches += matches.length;
+
+        // Keep the owner's most recent matches only
+        const history = [...await store.read(MATCHES, search.owner), ...matches];
+        await store.write(MATCHES, search.owner, history.slice(-MAX_MATCHES));
+
+        if (search.webhook_url) {
+            await enqueueWebhook(search.webhook_url, {
+                event: 'saved_search.match',
+                search: publicSearch(search),
+                matches
+            }, { source: 'alerts', now });
+            summary.webhooks_queued++;
+        }
+
+        // Re-read so a concurrent delete isn't undone
+        if (await store.readDoc(SEARCHES, id)) {
+            await store.writeDoc(SEARCHES, id, {
+                ...search,
+                last_match_at: now,
+                notified: [...notified].slice(-MAX_NOTIFIED)
+            });
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    MAX_SEARCHES,
+    MAX_TOTAL_SEARCHES,
+    MAX_MATCHES,
+    ownerFromRequest,
+    validateSearch,
+    matchesSearch,
+    listingKey,
+    publicSearch,
+    listSearches,
+    createSearch,
+    deleteSearch,
+    getMatches,
+    evaluateSearches
+};
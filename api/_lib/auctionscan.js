@@ -0,0 +1,175 @@
+// Auction house crawler - walks every auction page and keeps the latest complete listing set
+//
+// Scans are stored as DATA_DIR/auction/scans/<id>.ndjson (one listing per line) with the
+// metadata of the scan being served in auction/latest.json and of the most recent attempt
+// in auction/last-attempt.json.
+
+const { makeApiRequest } = require('../config.js');
+const { store } = require('./store.js');
+const { aggregatePrices } = require('./pricing.js');
+const { recordPriceHistory } = require('./pricehistory.js');
+
+const COLLECTION = 'auction';
+
+// Pages requested at once; the shared token bucket paces them
+const SCAN_CONCURRENCY = 5;
+
+// Safety cap in case the API never returns an empty page
+const SCAN_MAX_PAGES = parseInt(process.env.AUCTION_SCAN_MAX_PAGES) || 1000;
+
+// Stop starting new pages after this long (the scan is then marked incomplete)
+const SCAN_BUDGET_MS = parseInt(process.env.AUCTION_SCAN_BUDGET_MS) || 240000;
+
+// A served scan older than this is reported as stale (the cron is not keeping up)
+const SCAN_MAX_AGE_MS = parseInt(process.env.AUCTION_SCAN_MAX_AGE) || 30 * 60000;
+
+// Give up after this many failed pages in a row - the end of the listing set can't be found
+const MAX_CONSECUTIVE_FAILURES = 5;
+
+// Background scan - yields to interactive requests, retries harder and always reads fresh pages
+const SCAN_OPTIONS = { priority: 'background', retry: { retries: 3 }, cache: false };
+
+/**
+ * Walk auction pages until an empty page, the page cap or the time budget
+ */
+async function scanAuctionHouse({
+    maxPages = SCAN_MAX_PAGES,
+    budgetMs = SCAN_BUDGET_MS,
+    concurrency = SCAN_CONCURRENCY
+} = {}) {
+    const started = Date.now();
+    const listings = [];
+    const failedPages = [];
+    let pages = 0;
+    let consecutiveFailures = 0;
+    let exhausted = false;
+    let stopReason = null;
+
+    for (let first = 1; first <= maxPages && !exhausted && !stopReason; first += concurrency) {
+        if (Date.now() - started > budgetMs) {
+            stopReason = 'budget';
+            break;
+        }
+
+        const batch = [];
+        for (let page = first; page < first + concurrency && page <= maxPages; page++) {
+            batch.push(page);
+        }
+
+        const results = await Promise.all(batch.map(page =>
+            makeApiRequest(`/auction/list/${page}`, SCAN_OPTIONS).then(result => ({ page, result }))
+        ));
+
+        for (const { page, result } of results) {
+            if (exhausted) break;
+
+            if (!result.success) {
+                failedPages.push(page);
+                if (++consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+                    stopReason = 'failures';
+                    break;
+                }
+                continue;
+            }
+
+            consecutiveFailures = 0;
+            const entries = Array.isArray(result.data?.result) ? result.data.result : [];
+            if (entries.length === 0) {
+                exhausted = true;
+                break;
+            }
+
+            pages++;
+            listings.push(...entries);
+        }
+    }
+
+    if (!exhausted && !stopReason) stopReason = 'page_limit';
+
+    return {
+        id: String(started),
+        scanned_at: started,
+        duration_ms: Date.now() - started,
+        pages,
+        listings,
+        failed_pages: failedPages,
+        complete: exhausted && failedPages.length === 0,
+        stop_reason: stopReason
+    };
+}
+
+/**
+ * Scan metadata without the listings
+ */
+function scanMeta(scan) {
+    const { listings, ...meta } = scan;
+    return { ...meta, listings: listings.length };
+}
+
+/**
+ * Metadata of the scan currently being served (without reading its listings), or null
+ */
+async function getLatestScanMeta() {
+    return store.readDoc(COLLECTION, 'latest');
+}
+
+/**
+ * The scan currently being served ({ ...meta, listings: [...] }), or null
+ */
+async function getLatestScan() {
+    const meta = await getLatestScanMeta();
+    if (!meta) return null;
+    return { ...meta, listings: await store.read(COLLECTION, `scans/${meta.id}`) };
+}
+
+/**
+ * Run a scan and keep it if it is complete (or nothing better exists yet).
+ * Complete scans are added to the price history. Returns the scan now being served.
+ */
+async function runAuctionScan(options) {
+    const scan = await scanAuctionHouse(options);
+    await store.writeDoc(COLLECTION, 'last-attempt', scanMeta(scan));
+
+    const previous = await store.readDoc(COLLECTION, 'latest');
+    if (!scan.complete && previous?.complete) {
+        return getLatestScan();
+    }
+
+    await store.write(COLLECTION, `scans/${scan.id}`, scan.listings);
+    await store.writeDoc(COLLECTION, 'latest', scanMeta(scan));
+
+    // Only the served scan is kept
+    for (const partition of await store.partitions(COLLECTION, 'scans')) {
+        if (partition !== `scans/${scan.id}`) await store.remove(COLLECTION, partition);
+    }
+
+    if (scan.complete) {
+        try {
+            await recordPriceHistory(aggregatePrices(scan.listings), scan.scanned_at);
+        } catch (error) {
+            console.error('Failed to record price history:', error.message);
+        }
+    }
+
+    return scan;
+}
+
+/**
+ * Whether a scan is older than the max age (the scheduled scans are not keeping up)
+ */
+function isStaleScan(scan, maxAge = SCAN_MAX_AGE_MS, now = Date.now()) {
+    return now - scan.scanned_at > maxAge;
+}
+
+module.exports = {
+    COLLECTION,
+    SCAN_MAX_PAGES,
+    SCAN_BUDGET_MS,
+    SCAN_MAX_AGE_MS,
+    scanAuctionHouse,
+    scanMeta,
+    getLatestScanMeta,
+    getLatestScan,
+    runAuctionScan,
+    isStaleScan
+};
@@ -0,0 +1,273 @@
+// Shared response cache for upstream DonutSMP calls
+// Backend is chosen with CACHE_BACKEND (memory | file | sqlite), default memory
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_BACKEND = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+const CACHE_DIR = process.env.CACHE_DIR || path.join(os.tmpdir(), 'donut-tracker-cache');
+const MEMORY_MAX_ENTRIES = 500;
+
+// Per-endpoint cache policies (seconds). First matching pattern wins.
+// ttl = served as fresh, swr = extra window served stale while refreshing
+const CACHE_POLICIES = [
+    { pattern: /^\/stats\//, ttl: 60, swr: 300 },
+    { pattern: /^\/lookup\//, ttl: 30, swr: 120 },
+    { pattern: /^\/leaderboards\//, ttl: 300, swr: 900 },
+    { pattern: /^\/auction\/list\//, ttl: 30, swr: 60 },
+    { pattern: /^\/auction\/transactions\//, ttl: 30, swr: 60 },
+    { pattern: /^prices:/, ttl: 300, swr: 900 },
+    { pattern: /^market:/, ttl: 60, swr: 300 }
+];
+
+const DEFAULT_POLICY = { ttl: 30, swr: 60 };
+
+/**
+ * Find the cache policy for an endpoint or cache key
+ */
+function getCachePolicy(endpoint) {
+    const match = CACHE_POLICIES.find(policy => policy.pattern.test(endpoint));
+    return match ? { ttl: match.ttl, swr: match.swr } : { ...DEFAULT_POLICY };
+}
+
+/**
+ * In-memory backend (per serverless instance, lost on cold start)
+ */
+function createMemoryBackend(maxEntries = MEMORY_MAX_ENTRIES) {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            // Refresh insertion order so eviction drops least recently used
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry;
+        },
+        async set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        async clear() {
+            entries.clear();
+        }
+    };
+}
+
+/**
+ * File backend - one JSON file per key under CACHE_DIR
+ */
+function createFileBackend(dir = CACHE_DIR) {
+    const fileFor = (key) => path.join(dir, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+
+    return {
+        name: 'file',
+        async get(key) {
+            try {
+                const entry = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+                return entry.key === key ? entry : null;
+            } catch (e) {
+                return null;
+            }
+        },
+        async set(key, entry) {
+            await fs.mkdir(dir, { recursive: true });
+            // Write then rename so concurrent readers never see a partial file
+            const file = fileFor(key);
+            const tmp = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify({ ...entry, key }));
+            await fs.rename(tmp, file);
+        },
+        async delete(key) {
+            await fs.rm(fileFor(key), { force: true });
+        },
+        async clear() {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * SQLite backend - uses the built-in node:sqlite module (Node 22.5+)
+ */
+function createSqliteBackend(file = path.join(CACHE_DIR, 'cache.sqlite')) {
+    const { DatabaseSync } = require('node:sqlite');
+    let db = null;
+
+    const open = async () => {
+        if (db) return db;
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        db = new DatabaseSync(file);
+        db.exec(`CREATE TABLE IF NOT EXISTS cache (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL,
+            stored_at INTEGER NOT NULL,
+            fresh_until INTEGER NOT NULL,
+            stale_until INTEGER NOT NULL
+        )`);
+        return db;
+    };
+
+    return {
+        name: 'sqlite',
+        async get(key) {
+            const row = (await open()).prepare('SELECT * FROM cache WHERE key = ?').get(key);
+            if (!row) return null;
+            return {
+                value: JSON.parse(row.value),
+                storedAt: row.stored_at,
+                freshUntil: row.fresh_until,
+                staleUntil: row.stale_until
+            };
+        },
+        async set(key, entry) {
+            (await open()).prepare(
+                'INSERT OR REPLACE INTO cache (key, value, stored_at, fresh_until, stale_until) VALUES (?, ?, ?, ?, ?)'
+            ).run(key, JSON.stringify(entry.value), entry.storedAt, entry.freshUntil, entry.staleUntil);
+        },
+        async delete(key) {
+            (await open()).prepare('DELETE FROM cache WHERE key = ?').run(key);
+        },
+        async clear() {
+            (await open()).exec('DELETE FROM cache');
+        }
+    };
+}
+
+/**
+ * Create the backend named by CACHE_BACKEND, falling back to memory
+ */
+function createBackend(name = CACHE_BACKEND) {
+    try {
+        if (name === 'file') return createFileBackend();
+        if (name === 'sqlite') return createSqliteBackend();
+    } catch (error) {
+        console.warn(`Cache backend "${name}" unavailable (${error.message}), using memory`);
+    }
+    return createMemoryBackend();
+}
+
+/**
+ * Create a cache with stale-while-revalidate semantics
+ */
+function createCache(backend = createBackend()) {
+    const revalidating = new Set();
+
+    // Backend failures must never break a request - treat them as a miss
+    const read = async (key) => {
+        try {
+            return await backend.get(key);
+        } catch (e) {
+            return null;
+        }
+    };
+
+    const write = async (key, value, policy) => {
+        const now = Date.now();
+        try {
+            await backend.set(key, {
+                value,
+                storedAt: now,
+                freshUntil: now + policy.ttl * 1000,
+                staleUntil: now + (policy.ttl + policy.swr) * 1000
+            });
+        } catch (e) {
+            // Ignore write failures, the value is still returned
+        }
+    };
+
+    const load = async (key, policy, loader) => {
+        const value = await loader();
+        if (!policy.cacheable || policy.cacheable(value)) {
+            await write(key, value, policy);
+        }
+        return value;
+    };
+
+    return {
+        backend,
+
+        /**
+         * Return cached value for key, or load it. Resolves to
+         * { value, status: 'HIT' | 'STALE' | 'MISS' | 'BYPASS', age, policy }
+         */
+        async fetch(key, policy, loader) {
+            if (!policy || policy.ttl <= 0) {
+                return { value: await loader(), status: 'BYPASS', age: 0, policy };
+            }
+
+            const now = Date.now();
+            const entry = await read(key);
+
+            if (entry && now < entry.freshUntil) {
+                return { value: entry.value, status: 'HIT', age: Math.floor((now - entry.storedAt) / 1000), policy };
+            }
+
+            if (entry && now < entry.staleUntil) {
+                // Serve stale and refresh in the background (once per key)
+                if (!revalidating.has(key)) {
+                    revalidating.add(key);
+                    load(key, policy, loader)
+                        .catch(() => {})
+                        .finally(() => revalidating.delete(key));
+                }
+                return { value: entry.value, status: 'STALE', age: Math.floor((now - entry.storedAt) / 1000), policy };
+            }
+
+            return { value: await load(key, policy, loader), status: 'MISS', age: 0, policy };
+        },
+
+        async delete(key) {
+            try {
+                await backend.delete(key);
+            } catch (e) {
+                // Ignore
+            }
+        },
+
+        async clear() {
+            await backend.clear();
+        }
+    };
+}
+
+/**
+ * Build response headers describing how a cached value was served
+ */
+function cacheHeaders(status, age = 0, policy = null) {
+    const headers = { 'X-Cache': status };
+    if (status === 'HIT' || status === 'STALE') {
+        headers['Age'] = String(age);
+    }
+    if (policy && policy.ttl > 0) {
+        headers['Cache-Control'] = `public, s-maxage=${policy.ttl}, stale-while-revalidate=${policy.swr}`;
+    } else {
+        headers['Cache-Control'] = 'no-store';
+    }
+    return headers;
+}
+
+// Shared instance used by all routes
+const responseCache = createCache();
+
+module.exports = {
+    CACHE_POLICIES,
+    getCachePolicy,
+    createMemoryBackend,
+    createFileBackend,
+    createSqliteBackend,
+    createBackend,
+    createCache,
+    cacheHeaders,
+    responseCache
+};
@@ -0,0 +1,114 @@
+// Deal finder - live listings priced below the price guide median for the same variant
+
+const { getCachePolicy, responseCache } = require('./cache.js');
+const { getLatestScan, isStaleScan, scanMeta } = require('./auctionscan.js');
+const { aggregatePrices, variantKey } = require('./pricing.js');
+const { buildPriceIndex, valueListing } = require('./valuation.js');
+
+const DEALS_CACHE_KEY = 'prices:deals';
+
+const CONFIDENCE_RANK = { low: 0, medium: 1, high: 2 };
+
+/**
+ * Guide statistics by variant key and item id (plain variants override the item-wide figures)
+ */
+function buildReference(items) {
+    const reference = {};
+    for (const item of items) {
+        reference[item.id] = item;
+        for (const variant of item.variants || []) {
+            reference[variant.key] = variant;
+        }
+    }
+    return reference;
+}
+
+/**
+ * Every listing priced below its reference, best discount first
+ * Items compare their per-unit price to the variant median; filled containers compare
+ * their asking price to the estimated contents value (confidence is the weakest stack's)
+ */
+function findDeals(listings, items) {
+    const reference = buildReference(items);
+    const index = buildPriceIndex(items);
+    const deals = [];
+
+    for (const listing of listings) {
+        if (!listing.item?.id || !listing.price) continue;
+
+        const contents = listing.item.contents;
+        if (Array.isArray(contents) && contents.length > 0) {
+            const valuation = valueListing(listing, index);
+            if (!valuation || valuation.unpriced.length > 0 || valuation.difference <= 0) continue;
+
+            const confidence = valuation.stacks
+                .map(stack => (reference[stack.key] || reference[stack.id]).confidence)
+                .reduce((lowest, level) => CONFIDENCE_RANK[level] < CONFIDENCE_RANK[lowest] ? level : lowest, 'high');
+
+            deals.push({
+                kind: 'contents',
+                key: listing.item.id,
+                listing,
+                unit_price: listing.price,
+                reference_price: valuation.contents_value,
+                discount: Math.round((valuation.difference / valuation.contents_value) * 1000) / 10,
+                profit: valuation.difference,
+                confidence
+            });
+            continue;
+        }
+
+        const key = variantKey(listing.item);
+        const stats = reference[key];
+        if (!stats) continue;
+
+        const count = Math.max(1, listing.item.count || 1);
+        const unitPrice = listing.price / count;
+        if (unitPrice >= stats.median_price) continue;
+
+        deals.push({
+            kind: 'item',
+            key,
+            listing,
+            unit_price: Math.round(unitPrice),
+            reference_price: stats.median_price,
+            discount: Math.round((1 - unitPrice / stats.median_price) * 1000) / 10,
+            profit: Math.round((stats.median_price - unitPrice) * count),
+            confidence: stats.confidence
+        });
+    }
+
+    return deals.sort((a, b) => b.discount - a.discount || b.profit - a.profit);
+}
+
+/**
+ * Keep deals meeting the minimum confidence, profit and discount
+ */
+function filterDeals(deals, { minConfidence = 'low', minProfit = 0, minDiscount = 0 } = {}) {
+    const rank = CONFIDENCE_RANK[minConfidence] ?? 0;
+    return deals.filter(deal =>
+        CONFIDENCE_RANK[deal.confidence] >= rank &&
+        deal.profit >= minProfit &&
+        deal.discount >= minDiscount
+    );
+}
+
+/**
+ * All current deals from the latest stored auction scan (cached alongside the price guide).
+ * Never starts a scan itself; before the first scan there are no deals and `scan` is null.
+ */
+async function getDeals() {
+    // Don't cache the missing scan, so the first scan is picked up straight away
+    const policy = { ...getCachePolicy(DEALS_CACHE_KEY), cacheable: value => value.scan !== null };
+    return responseCache.fetch(DEALS_CACHE_KEY, policy, async () => {
+        const scan = await getLatestScan();
+        if (!scan) return { deals: [], scan: null, stale: true };
+        return {
+            deals: findDeals(scan.listings, aggregatePrices(scan.listings)),
+            scan: scanMeta(scan),
+            stale: isStaleScan(scan)
+        };
+    });
+}
+
+module.exports = { DEALS_CACHE_KEY, CONFIDENCE_RANK, buildReference, findDeals, filterDeals, getDeals };
@@ -0,0 +1,313 @@
+// Discord notifications - rules that post embeds to Discord webhooks when auction, price or leaderboard events happen
+//
+// Rules live in DATA_DIR/discord/rules/<id>.json and are managed through the admin-only /api/discord/rules.
+//   listing: a listing of `item` at or below `max_price` per unit (same criteria as saved searches)
+//   rank:    `user` moves to rank `rank` or better on leaderboard `type`
+//   price:   the median price of `item` moves by `percent`% or more since the last notification
+// Messages go through the webhook queue (webhooks.js), so Discord rate limits and outages are retried.
+
+const crypto = require('crypto');
+const { LEADERBOARD_TYPES, isValidUsername } = require('../config.js');
+const { store } = require('./store.js');
+const { enqueueWebhook, isAllowedWebhookUrl } = require('./webhooks.js');
+const { SNAPSHOT_PAGES, PAGE_OFFSET, getSnapshot } = require('./leaderboards.js');
+const { itemDisplayName, itemEnchantments } = require('./pricing.js');
+const { validateSearch, matchesSearch, listingKey } = require('./alerts.js');
+
+const COLLECTION = 'discord';
+
+const RULE_TYPES = ['listing', 'rank', 'price'];
+
+// Discord accepts up to 10 embeds per message
+const EMBEDS_PER_MESSAGE = 10;
+
+// Listing keys remembered per rule so a listing is only posted once
+const MAX_NOTIFIED = 1000;
+
+const COLORS = {
+    listing: 0x3b82f6,
+    rankUp: 0x22c55e,
+    priceUp: 0x22c55e,
+    priceDown: 0xef4444
+};
+
+const DISCORD_WEBHOOK_PATTERN = /^https:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/api\/(?:v\d+\/)?webhooks\/\d+\/[\w-]+$/;
+
+/**
+ * Discord webhook URLs only (WEBHOOK_ALLOW_INSECURE=1 allows any webhook URL for the local test sink)
+ */
+function isDiscordWebhookUrl(value) {
+    if (process.env.WEBHOOK_ALLOW_INSECURE === '1') return isAllowedWebhookUrl(value);
+    return DISCORD_WEBHOOK_PATTERN.test(String(value));
+}
+
+/**
+ * Validate a rule from a request body
+ * Returns { rule } or { error }
+ */
+function validateRule(body = {}) {
+    const type = String(body.type || '').toLowerCase();
+    if (!RULE_TYPES.includes(type)) return { error: 'type must be one of: ' + RULE_TYPES.join(', ') };
+
+    const webhookUrl = String(body.webhook_url || '').trim();
+    if (!isDiscordWebhookUrl(webhookUrl)) return { error: 'webhook_url must be a Discord webhook URL' };
+
+    const rule = { type, webhook_url: webhookUrl };
+
+    if (type === 'listing') {
+        if (body.max_price === undefined || body.max_price === null || body.max_price === '') {
+            return { error: 'max_price is required' };
+        }
+        const { search, error } = validateSearch({ ...body, webhook_url: null });
+        if (error) return { error };
+        const { webhook_url, ...criteria } = search;
+        rule.criteria = criteria;
+    }
+
+    if (type === 'rank') {
+        const leaderboard = String(body.leaderboard || '').toLowerCase();
+        if (!LEADERBOARD_TYPES.includes(leaderboard)) {
+            return { error: 'leaderboard must be one of: ' + LEADERBOARD_TYPES.join(', ') };
+        }
+        const user = String(body.user || '').trim();
+        if (!isValidUsername(user)) return { error: 'user must be a valid username' };
+
+        // Only the snapshotted pages are tracked
+        const maxRank = SNAPSHOT_PAGES * PAGE_OFFSET;
+        const rank = parseInt(body.rank);
+        if (!(rank >= 1 && rank <= maxRank)) return { error: `rank must be between 1 and ${maxRank}` };
+
+        Object.assign(rule, { leaderboard, user, rank });
+    }
+
+    if (type === 'price') {
+        const rawItem = String(body.item || '').trim().toLowerCase();
+        if (!/^(minecraft:)?[a-z0-9_]{1,64}$/.test(rawItem)) return { error: 'item must be an item id such as netherite_sword' };
+        const percent = parseFloat(body.percent);
+        if (!(percent > 0 && percent <= 1000)) return { error: 'percent must be between 0 and 1000' };
+
+        Object.assign(rule, { item: rawItem.includes(':') ? rawItem : `minecraft:${rawItem}`, percent });
+    }
+
+    return { rule };
+}
+
+/**
+ * Rule as returned by the API (webhook token and internal state removed)
+ */
+function publicRule(rule) {
+    const { notified, webhook_url, ...rest } = rule;
+    return { ...rest, webhook: webhook_url.replace(/\/[^/]+$/, '/…') };
+}
+
+async function listRules(type = null) {
+    const rules = [];
+    for (const id of await store.listDocs(COLLECTION)) {
+        if (!id.startsWith('rules/')) continue;
+        const rule = await store.readDoc(COLLECTION, id);
+        if (rule && (!type || rule.type === type)) rules.push(rule);
+    }
+    return rules.sort((a, b) => a.created_at - b.created_at);
+}
+
+async function createRule(fields) {
+    const rule = {
+        id: crypto.randomBytes(8).toString('hex'),
+        ...fields,
+        created_at: Date.now(),
+        last_notified_at: null,
+        state: {},
+        notified: []
+    };
+    await store.writeDoc(COLLECTION, `rules/${rule.id}`, rule);
+    return rule;
+}
+
+/**
+ * Delete a rule, returning whether it existed
+ */
+async function deleteRule(id) {
+    if (!/^[a-f0-9]{16}$/.test(id)) return false;
+    if (!(await store.readDoc(COLLECTION, `rules/${id}`))) return false;
+    await store.deleteDoc(COLLECTION, `rules/${id}`);
+    return true;
+}
+
+/**
+ * Save a rule's updated state unless it was deleted meanwhile
+ */
+async function saveRule(rule) {
+    if (await store.readDoc(COLLECTION, `rules/${rule.id}`)) {
+        await store.writeDoc(COLLECTION, `rules/${rule.id}`, rule);
+    }
+}
+
+const formatMoney = (value) => '$' + Math.round(value).toLocaleString('en-US');
+
+function listingEmbed(listing, now) {
+    const count = Math.max(1, listing.item.count || 1);
+    const enchantments = Object.entries(itemEnchantments(listing.item));
+    const fields = [
+        { name: 'Price', value: formatMoney(listing.price), inline: true },
+        { name: 'Per unit', value: formatMoney(listing.price / count), inline: true },
+        { name: 'Seller', value: listing.seller?.name || 'Unknown', inline: true }
+    ];
+    if (enchantments.length > 0) {
+        fields.push({ name: 'Enchantments', value: enchantments.map(([name, level]) => `${name} ${level}`).join(', ') });
+    }
+
+    return {
+        title: `${count}x ${itemDisplayName(listing.item.id)} listed`,
+        color: COLORS.listing,
+        fields,
+        timestamp: new Date(now).toISOString()
+    };
+}
+
+function rankEmbed(rule, point, previousRank, now) {
+    return {
+        title: `${rule.user} reached #${point.rank} on ${rule.leaderboard}`,
+        description: previousRank
+            ? `Up from #${previousRank}, passing rank ${rule.rank}.`
+            : `Entered the tracked leaderboard, passing rank ${rule.rank}.`,
+        color: COLORS.rankUp,
+        fields: [{ name: 'Value', value: Number(point.value).toLocaleString('en-US'), inline: true }],
+        timestamp: new Date(now).toISOString()
+    };
+}
+
+function priceEmbed(rule, item, previousPrice, change, now) {
+    return {
+        title: `${item.name} ${change > 0 ? 'up' : 'down'} ${Math.abs(change).toFixed(1)}%`,
+        description: `Median price moved from ${formatMoney(previousPrice)} to ${formatMoney(item.median_price)}.`,
+        color: change > 0 ? COLORS.priceUp : COLORS.priceDown,
+        fields: [
+            { name: 'Listings', value: String(item.listings), inline: true },
+            { name: 'Confidence', value: item.confidence, inline: true }
+        ],
+        timestamp: new Date(now).toISOString()
+    };
+}
+
+/**
+ * Queue embeds for a rule's webhook, split into messages of up to 10
+ */
+async function postEmbeds(rule, embeds, now) {
+    for (let i = 0; i < embeds.length; i += EMBEDS_PER_MESSAGE) {
+        await enqueueWebhook(rule.webhook_url, {
+            username: 'Donut Tracker',
+            embeds: embeds.slice(i, i + EMBEDS_PER_MESSAGE)
+        }, { source: 'discord', now });
+    }
+    return Math.ceil(embeds.length / EMBEDS_PER_MESSAGE);
+}
+
+/**
+ * Post new listings matching each listing rule (each listing is posted once per rule)
+ */
+async function notifyListings(listings, now = Date.now()) {
+    const summary = { rules: 0, notifications: 0, messages: 0 };
+
+    for (const rule of await listRules('listing')) {
+        summary.rules++;
+        const notified = new Set(rule.notified);
+        const embeds = [];
+
+        for (const listing of listings) {
+            if (!matchesSearch(rule.criteria, listing)) continue;
+            const key = listingKey(listing);
+            if (notified.has(key)) continue;
+            notified.add(key);
+            embeds.push(listingEmbed(listing, now));
+        }
+        if (embeds.length === 0) continue;
+
+        summary.notifications += embeds.length;
+        summary.messages += await postEmbeds(rule, embeds, now);
+        await saveRule({ ...rule, last_notified_at: now, notified: [...notified].slice(-MAX_NOTIFIED) });
+    }
+
+    return summary;
+}
+
+/**
+ * Post when a player moves to a rule's rank or better in the snapshot taken at `time`
+ * The first snapshot a rule sees only records the current rank. Boards without a snapshot
+ * at `time` (the fetch failed) are skipped, so a missing snapshot never reads as "not ranked".
+ */
+async function notifyRanks(time, now = Date.now()) {
+    const summary = { rules: 0, notifications: 0, messages: 0 };
+    const snapshots = new Map();
+
+    for (const rule of await listRules('rank')) {
+        summary.rules++;
+        if (!snapshots.has(rule.leaderboard)) {
+            snapshots.set(rule.leaderboard, await getSnapshot(rule.leaderboard, time));
+        }
+        const rows = snapshots.get(rule.leaderboard);
+        if (rows.length === 0) continue;
+
+        const name = rule.user.toLowerCase();
+        const row = rows.find(entry => entry.username.toLowerCase() === name);
+        const point = row && { time, rank: row.rank, value: row.value };
+        const rank = point?.rank ?? null;
+        const previous = rule.state.checked ? rule.state.rank : undefined;
+
+        const passed = previous !== undefined && rank !== null && rank <= rule.rank && (previous === null || previous > rule.rank);
+        if (passed) {
+            summary.notifications++;
+            summary.messages += await postEmbeds(rule, [rankEmbed(rule, point, previous, now)], now);
+        }
+
+        await saveRule({
+            ...rule,
+            last_notified_at: passed ? now : rule.last_notified_at,
+            state: { checked: true, rank }
+        });
+    }
+
+    return summary;
+}
+
+/**
+ * Post when an item's median moves by a rule's percent since the last post
+ * items are price guide items from a complete scan; the first scan a rule sees sets the baseline
+ */
+async function notifyPrices(items, now = Date.now()) {
+    const summary = { rules: 0, notifications: 0, messages: 0 };
+    const byId = new Map(items.map(item => [item.id, item]));
+
+    for (const rule of await listRules('price')) {
+        summary.rules++;
+        const item = byId.get(rule.item);
+        if (!item) continue;
+
+        const baseline = rule.state.price;
+        if (!baseline) {
+            await saveRule({ ...rule, state: { price: item.median_price } });
+            continue;
+        }
+
+        const change = ((item.median_price - baseline) / baseline) * 100;
+        if (Math.abs(change) < rule.percent) continue;
+
+        summary.notifications++;
+        summary.messages += await postEmbeds(rule, [priceEmbed(rule, item, baseline, change, now)], now);
+        await saveRule({ ...rule, last_notified_at: now, state: { price: item.median_price } });
+    }
+
+    return summary;
+}
+
+module.exports = {
+    RULE_TYPES,
+    isDiscordWebhookUrl,
+    validateRule,
+    publicRule,
+    listRules,
+    createRule,
+    deleteRule,
+    notifyListings,
+    notifyRanks,
+    notifyPrices
+};
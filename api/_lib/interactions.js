@@ -0,0 +1,295 @@
+// Discord slash commands - request verification, command definitions and embed replies
+//
+// Discord signs every interaction with the application's Ed25519 key: the signature covers
+// X-Signature-Timestamp followed by the raw request body. Commands must answer within 3 seconds,
+// so they read cached data (the price guide is kept fresh by the auction cron), make single
+// upstream calls with a short timeout and give up with an ephemeral reply at COMMAND_DEADLINE_MS.
+
+const crypto = require('crypto');
+const { LEADERBOARD_TYPES, makeApiRequest, isValidUsername } = require('../config.js');
+const { PAGE_OFFSET } = require('./leaderboards.js');
+const { itemEnchantments } = require('./pricing.js');
+const { getPriceGuide } = require('./priceguide.js');
+
+const INTERACTION_TYPES = { PING: 1, APPLICATION_COMMAND: 2 };
+const RESPONSE_TYPES = { PONG: 1, CHANNEL_MESSAGE: 4 };
+const OPTION_TYPES = { STRING: 3, INTEGER: 4 };
+
+// Only the invoking user sees the reply
+const EPHEMERAL = 64;
+
+// Signed requests older (or newer) than this are rejected as replays
+const MAX_TIMESTAMP_SKEW = 300;
+
+// DER header of an Ed25519 SubjectPublicKeyInfo, followed by the 32-byte raw key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+const EMBED_COLOR = 0x3b82f6;
+
+// Discord drops replies after 3 seconds; leave room for the response to travel
+const COMMAND_DEADLINE_MS = 2500;
+
+// One try with a short timeout - there is no time for retries or backoff
+const UPSTREAM_OPTIONS = { priority: 'interactive', retry: false, timeout: 2000 };
+
+/**
+ * Slash command definitions, in the shape Discord's bulk command registration expects
+ */
+const COMMANDS = [
+    {
+        name: 'stats',
+        description: 'Show a player\'s DonutSMP statistics',
+        options: [{ type: OPTION_TYPES.STRING, name: 'user', description: 'Minecraft username', required: true }]
+    },
+    {
+        name: 'price',
+        description: 'Look up an item in the price guide',
+        options: [{ type: OPTION_TYPES.STRING, name: 'item', description: 'Item name or id, e.g. elytra', required: true }]
+    },
+    {
+        name: 'lb',
+        description: 'Show a leaderboard',
+        options: [
+            {
+                type: OPTION_TYPES.STRING,
+                name: 'type',
+                description: 'Leaderboard',
+                required: true,
+                choices: LEADERBOARD_TYPES.map(type => ({ name: type, value: type }))
+            },
+            { type: OPTION_TYPES.INTEGER, name: 'page', description: 'Page (45 players each)', min_value: 1 }
+        ]
+    },
+    {
+        name: 'ah',
+        description: 'Search the auction house, cheapest first',
+        options: [{ type: OPTION_TYPES.STRING, name: 'search', description: 'Item to search for', required: true }]
+    }
+];
+
+/**
+ * Error shown to the invoking user as an ephemeral reply
+ */
+class CommandError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CommandError';
+    }
+}
+
+/**
+ * Verify an interaction's Ed25519 signature against the application's public key (hex)
+ */
+function verifyInteraction(publicKey, signature, timestamp, rawBody, now = Date.now()) {
+    if (!/^[0-9a-f]{64}$/i.test(publicKey || '') || !/^[0-9a-f]{128}$/i.test(signature || '')) return false;
+    if (!/^\d+$/.test(timestamp || '') || Math.abs(now / 1000 - Number(timestamp)) > MAX_TIMESTAMP_SKEW) return false;
+
+    const key = crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'hex')]),
+        format: 'der',
+        type: 'spki'
+    });
+    return crypto.verify(null, Buffer.from(timestamp + rawBody), key, Buffer.from(signature, 'hex'));
+}
+
+/**
+ * Abbreviated number (1.5M, 20K)
+ */
+function formatAmount(value) {
+    const num = Number(value) || 0;
+    const units = [[1e12, 'T'], [1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+    for (const [size, suffix] of units) {
+        if (Math.abs(num) >= size) return (num / size).toFixed(1).replace(/\.0$/, '') + suffix;
+    }
+    return String(Math.round(num));
+}
+
+/**
+ * Playtime in milliseconds as days and hours
+ */
+function formatPlaytime(value) {
+    const hours = Math.floor((Number(value) || 0) / 3600000);
+    return hours >= 24 ? `${Math.floor(hours / 24)}d ${hours % 24}h` : `${hours}h`;
+}
+
+function itemLabel(itemId) {
+    return itemId.replace(/^minecraft:/, '').split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+}
+
+/**
+ * Upstream failure as a CommandError (the API reports unknown players as a 500 with a message)
+ */
+function upstreamError(result, fallback) {
+    return new CommandError(result.data?.message || fallback);
+}
+
+async function statsCommand({ user }) {
+    const username = String(user || '').trim();
+    if (!isValidUsername(username)) throw new CommandError('That is not a valid Minecraft username.');
+
+    const result = await makeApiRequest(`/stats/${username}`, UPSTREAM_OPTIONS);
+    if (!result.success) throw upstreamError(result, `Couldn't load stats for ${username}.`);
+
+    const stats = result.data?.result || {};
+    const field = (name, value) => ({ name, value, inline: true });
+
+    return {
+        title: `${username}'s stats`,
+        color: EMBED_COLOR,
+        thumbnail: { url: `https://mc-heads.net/avatar/${username}/64` },
+        fields: [
+            field('Money', '$' + formatAmount(stats.money)),
+            field('Shards', formatAmount(stats.shards)),
+            field('Playtime', formatPlaytime(stats.playtime)),
+            field('Kills', formatAmount(stats.kills)),
+            field('Deaths', formatAmount(stats.deaths)),
+            field('Mobs killed', formatAmount(stats.mobs_killed)),
+            field('Blocks placed', formatAmount(stats.placed_blocks)),
+            field('Blocks broken', formatAmount(stats.broken_blocks)),
+            field('Earned from /sell', '$' + formatAmount(stats.money_made_from_sell))
+        ]
+    };
+}
+
+async function priceCommand({ item }) {
+    const query = String(item || '').trim().toLowerCase();
+    if (!query) throw new CommandError('Tell me which item to look up.');
+
+    const guide = (await getPriceGuide()).value;
+    if (!guide.scan) throw new CommandError('Prices are not available yet - the first auction scan has not finished.');
+    const id = 'minecraft:' + query.replace(/^minecraft:/, '').replace(/\s+/g, '_');
+    const match = guide.items.find(entry => entry.id === id)
+        || guide.items
+            .filter(entry => entry.id.includes(id.slice('minecraft:'.length)) || entry.name.toLowerCase().includes(query))
+            .sort((a, b) => b.listings - a.listings)[0];
+    if (!match) throw new CommandError(`No listings found for "${item}".`);
+
+    const variants = match.variants
+        .filter(variant => variant.key !== match.id)
+        .slice(0, 3)
+        .map(variant => `${Object.entries(variant.enchantments).map(([name, level]) => `${name} ${level}`).concat(variant.lore).join(', ')}: $${formatAmount(variant.median_price)}`);
+
+    const fields = [
+        { name: 'Median', value: '$' + formatAmount(match.median_price), inline: true },
+        { name: 'Average', value: '$' + formatAmount(match.avg_price), inline: true },
+        { name: 'Range', value: `$${formatAmount(match.min_price)} - $${formatAmount(match.max_price)}`, inline: true },
+        { name: 'Listings', value: String(match.listings), inline: true },
+        { name: 'Confidence', value: match.confidence, inline: true }
+    ];
+    if (variants.length > 0) fields.push({ name: 'Top variants', value: variants.join('\n') });
+
+    return {
+        title: `${match.name} price`,
+        description: 'Per-unit prices from the latest auction house scan.',
+        color: EMBED_COLOR,
+        fields,
+        timestamp: new Date(guide.scan.scanned_at).toISOString()
+    };
+}
+
+async function leaderboardCommand({ type, page = 1 }) {
+    const board = String(type || '').toLowerCase();
+    if (!LEADERBOARD_TYPES.includes(board)) {
+        throw new CommandError('Unknown leaderboard. Try one of: ' + LEADERBOARD_TYPES.join(', '));
+    }
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+
+    const result = await makeApiRequest(`/leaderboards/${board}/${pageNumber}`, UPSTREAM_OPTIONS);
+    if (!result.success) throw upstreamError(result, `Couldn't load the ${board} leaderboard.`);
+
+    const entries = (Array.isArray(result.data?.result) ? result.data.result : []).slice(0, 10);
+    if (entries.length === 0) throw new CommandError('That page of the leaderboard is empty.');
+
+    const lines = entries.map((entry, index) => {
+        const rank = (pageNumber - 1) * PAGE_OFFSET + index + 1;
+        const value = board === 'playtime' ? formatPlaytime(entry.value) : formatAmount(entry.value);
+        return `**#${rank}** ${entry.username} - ${value}`;
+    });
+
+    return {
+        title: `${board.charAt(0).toUpperCase() + board.slice(1)} leaderboard`,
+        description: lines.join('\n'),
+        color: EMBED_COLOR,
+        footer: { text: `Page ${pageNumber}` }
+    };
+}
+
+async function auctionCommand({ search }) {
+    const query = String(search || '').trim().slice(0, 100);
+    if (!query) throw new CommandError('Tell me what to search for.');
+
+    const result = await makeApiRequest('/auction/list/1', {
+        ...UPSTREAM_OPTIONS,
+        body: { search: query, sort: 'lowest_price' }
+    });
+    if (!result.success) throw upstreamError(result, 'Couldn\'t search the auction house.');
+
+    const listings = (Array.isArray(result.data?.result) ? result.data.result : []).slice(0, 8);
+    if (listings.length === 0) throw new CommandError(`No auction listings match "${query}".`);
+
+    const lines = listings.map(listing => {
+        const count = Math.max(1, listing.item.count || 1);
+        const enchantments = Object.entries(itemEnchantments(listing.item));
+        const extra = enchantments.length ? ` (${enchantments.map(([name, level]) => `${name} ${level}`).join(', ')})` : '';
+        return `${count}x **${itemLabel(listing.item.id)}**${extra} - $${formatAmount(listing.price)} by ${listing.seller?.name || 'unknown'}`;
+    });
+
+    return {
+        title: `Auction house: ${query}`,
+        description: lines.join('\n'),
+        color: EMBED_COLOR
+    };
+}
+
+const COMMAND_HANDLERS = {
+    stats: statsCommand,
+    price: priceCommand,
+    lb: leaderboardCommand,
+    ah: auctionCommand
+};
+
+const ephemeral = (content) => ({ type: RESPONSE_TYPES.CHANNEL_MESSAGE, data: { content, flags: EPHEMERAL } });
+
+/**
+ * Settle with the command's result, or reject with a CommandError once the deadline passes.
+ * The command keeps running, so whatever it loads is cached for the next try.
+ */
+function withDeadline(promise, ms = COMMAND_DEADLINE_MS) {
+    let timer;
+    const deadline = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new CommandError('DonutSMP is slow to answer right now, please try again in a moment.')), ms);
+    });
+    return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Reply to a verified interaction, or null for interaction types this app doesn't handle
+ */
+async function handleInteraction(interaction) {
+    if (interaction.type === INTERACTION_TYPES.PING) return { type: RESPONSE_TYPES.PONG };
+    if (interaction.type !== INTERACTION_TYPES.APPLICATION_COMMAND) return null;
+
+    const name = interaction.data?.name;
+    if (!Object.hasOwn(COMMAND_HANDLERS, name)) return ephemeral(`Unknown command: ${name}`);
+    const handler = COMMAND_HANDLERS[name];
+
+    const options = Object.fromEntries((interaction.data.options || []).map(option => [option.name, option.value]));
+    try {
+        const embed = await withDeadline(handler(options));
+        return { type: RESPONSE_TYPES.CHANNEL_MESSAGE, data: { embeds: [embed] } };
+    } catch (error) {
+        if (error instanceof CommandError) return ephemeral(error.message);
+        console.error(`Discord command /${name} failed:`, error.message);
+        return ephemeral('Something went wrong, please try again later.');
+    }
+}
+
+module.exports = {
+    INTERACTION_TYPES,
+    RESPONSE_TYPES,
+    COMMANDS,
+    COMMAND_DEADLINE_MS,
+    CommandError,
+    verifyInteraction,
+    handleInteraction
+};
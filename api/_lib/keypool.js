@@ -0,0 +1,132 @@
+// API key pool with rotation and quarantine
+// Keys that answer 429 sit out until their Retry-After passes, keys that answer 401 sit out much longer
+
+const STRATEGIES = ['round_robin', 'least_recently_limited'];
+
+const LIMITED_COOLDOWN = 60000;   // 1 minute when upstream gives no Retry-After
+const REVOKED_COOLDOWN = 3600000; // 1 hour - a 401 usually means the key was revoked
+
+/**
+ * Mask a key for display (last 4 characters only)
+ */
+function maskKey(key) {
+    return key.length <= 4 ? '****' : '****' + key.slice(-4);
+}
+
+/**
+ * Parse a comma-separated key list, dropping blanks and duplicates
+ */
+function parseKeys(value) {
+    return [...new Set(String(value || '').split(',').map(k => k.trim()).filter(Boolean))];
+}
+
+/**
+ * Create a key pool
+ */
+function createKeyPool(keys, { strategy = 'round_robin' } = {}) {
+    const selection = STRATEGIES.includes(strategy) ? strategy : 'round_robin';
+    let cursor = 0;
+
+    const states = keys.map(key => ({
+        key,
+        id: maskKey(key),
+        requests: 0,
+        limited: 0,
+        unauthorized: 0,
+        lastStatus: null,
+        lastUsedAt: 0,
+        lastLimitedAt: 0,
+        quarantinedUntil: 0,
+        quarantineReason: null
+    }));
+
+    const isAvailable = (state, now) => state.quarantinedUntil <= now;
+
+    return {
+        size: states.length,
+
+        /**
+         * Pick the next key to use, or null if every key is quarantined
+         */
+        next() {
+            const now = Date.now();
+            const available = states.filter(state => isAvailable(state, now));
+            if (available.length === 0) return null;
+
+            let chosen;
+            if (selection === 'least_recently_limited') {
+                // Prefer keys that were limited longest ago (never = 0), then least recently used
+                chosen = available.reduce((best, state) =>
+                    state.lastLimitedAt < best.lastLimitedAt ||
+                    (state.lastLimitedAt === best.lastLimitedAt && state.lastUsedAt < best.lastUsedAt)
+                        ? state : best
+                );
+            } else {
+                for (let i = 0; i < states.length; i++) {
+                    const state = states[(cursor + i) % states.length];
+                    if (isAvailable(state, now)) {
+                        chosen = state;
+                        cursor = (states.indexOf(state) + 1) % states.length;
+                        break;
+                    }
+                }
+            }
+
+            chosen.requests++;
+            chosen.lastUsedAt = now;
+            return chosen;
+        },
+
+        /**
+         * Record the upstream status for a key, quarantining it on 401/429
+         */
+        report(state, status, retryAfter = null) {
+            const now = Date.now();
+            state.lastStatus = status;
+
+            if (status === 429) {
+                state.limited++;
+                state.lastLimitedAt = now;
+                state.quarantinedUntil = now + (retryAfter || LIMITED_COOLDOWN);
+                state.quarantineReason = 'rate_limited';
+            } else if (status === 401) {
+                state.unauthorized++;
+                state.quarantinedUntil = now + REVOKED_COOLDOWN;
+                state.quarantineReason = 'unauthorized';
+            } else if (status >= 200 && status < 300) {
+                state.quarantineReason = null;
+            }
+        },
+
+        /**
+         * Milliseconds until the next quarantined key is released (0 if one is available)
+         */
+        waitTime() {
+            const now = Date.now();
+            if (states.some(state => isAvailable(state, now))) return 0;
+            return Math.min(...states.map(state => state.quarantinedUntil)) - now;
+        },
+
+        /**
+         * Per-key state for the admin health view (keys are masked)
+         */
+        health() {
+            const now = Date.now();
+            return states.map((state, index) => ({
+                index: index + 1,
+                key: state.id,
+                state: isAvailable(state, now) ? 'healthy' : state.quarantineReason,
+                requests: state.requests,
+                rate_limited: state.limited,
+                unauthorized: state.unauthorized,
+                last_status: state.lastStatus,
+                last_used_at: state.lastUsedAt || null,
+                quarantined_for_ms: Math.max(0, state.quarantinedUntil - now)
+            }));
+        },
+
+        strategy: selection
+    };
+}
+
+module.exports = { STRATEGIES, maskKey, parseKeys, createKeyPool };
@@ -0,0 +1,106 @@
+// Leaderboard snapshots - periodic copies of the top pages of every leaderboard type
+
+const { LEADERBOARD_TYPES, makeApiRequest } = require('../config.js');
+const { store, dayKey } = require('./store.js');
+
+const COLLECTION = 'leaderboards';
+
+// Pages captured per type on each run (45 players per page)
+const SNAPSHOT_PAGES = parseInt(process.env.LEADERBOARD_SNAPSHOT_PAGES) || 5;
+
+// The API repeats the last entry of a page as the first entry of the next
+const PAGE_OFFSET = 44;
+
+/**
+ * Walk a leaderboard as ranked rows from `startPage` until its last (short) page, `maxPages` or `deadline`
+ * `seen` holds lowercase names already taken by earlier pages, so a resumed walk skips the overlap row
+ * Returns { rows, next_page, finished, error } - finished when the last page was reached
+ */
+async function walkBoard(type, { startPage = 1, maxPages = SNAPSHOT_PAGES, deadline = Infinity, seen = new Set() } = {}) {
+    const rows = [];
+    let page = startPage;
+
+    for (; page <= maxPages && Date.now() < deadline; page++) {
+        const result = await makeApiRequest(`/leaderboards/${type}/${page}`, {
+            priority: 'background',
+            cache: false
+        });
+        if (!result.success) {
+            return { rows, next_page: page, finished: false, error: `${type} page ${page}: ${result.data?.message || result.status}` };
+        }
+
+        const entries = Array.isArray(result.data?.result) ? result.data.result : [];
+        entries.forEach((entry, index) => {
+            const key = String(entry.username).toLowerCase();
+            if (seen.has(key)) return;
+            seen.add(key);
+            rows.push({
+                rank: (page - 1) * PAGE_OFFSET + index + 1,
+                username: entry.username,
+                value: parseFloat(String(entry.value).replace(/[,$]/g, '')) || 0
+            });
+        });
+
+        // A short page is the last one
+        if (entries.length < PAGE_OFFSET) return { rows, next_page: null, finished: true, error: null };
+    }
+
+    return { rows, next_page: page, finished: false, error: null };
+}
+
+/**
+ * Fetch the first `pages` pages of a leaderboard as ranked rows
+ */
+async function fetchRankedBoard(type, pages = SNAPSHOT_PAGES) {
+    const walk = await walkBoard(type, { maxPages: pages });
+    if (walk.error) throw new Error(walk.error);
+    return walk.rows;
+}
+
+/**
+ * Snapshot every leaderboard type into the store
+ * Returns a per-type summary; one failing type does not stop the others
+ */
+async function snapshotLeaderboards({ types = LEADERBOARD_TYPES, pages = SNAPSHOT_PAGES, now = Date.now() } = {}) {
+    const summary = {};
+
+    for (const type of types) {
+        try {
+            const rows = await fetchRankedBoard(type, pages);
+            await store.append(COLLECTION, `${type}/${dayKey(now)}`, rows.map(row => ({ t: now, ...row })));
+            summary[type] = { players: rows.length };
+        } catch (error) {
+            summary[type] = { error: error.message };
+        }
+    }
+
+    return { time: now, types: summary };
+}
+
+/**
+ * Rows of the snapshot taken at `time` on one leaderboard (empty when that snapshot failed or is missing)
+ */
+async function getSnapshot(type, time) {
+    const rows = await store.read(COLLECTION, `${type}/${dayKey(time)}`);
+    return rows.filter(row => row.t === time);
+}
+
+/**
+ * A player's rank and value on one leaderboard since `from`, oldest first
+ */
+async function getPlayerHistory(type, username, from) {
+    const name = username.toLowerCase();
+    const points = [];
+
+    for (const partition of await store.partitionsBetween(COLLECTION, type, from)) {
+        for (const row of await store.read(COLLECTION, partition)) {
+            if (row.t >= from && row.username.toLowerCase() === name) {
+                points.push({ time: row.t, rank: row.rank, value: row.value });
+            }
+        }
+    }
+
+    return points.sort((a, b) => a.time - b.time);
+}
+
+module.exports = { COLLECTION, SNAPSHOT_PAGES, PAGE_OFFSET, walkBoard, fetchRankedBoard, snapshotLeaderboards, getSnapshot, getPlayerHistory };
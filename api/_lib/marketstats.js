@@ -0,0 +1,84 @@
+// Market analytics - sale counts, money volume, top items and time-to-sell from the transaction archive
+//
+// Figures only count archived sales, so a window that starts before the archive's first poll
+// is marked incomplete.
+
+const { getCachePolicy, responseCache } = require('./cache.js');
+const { store } = require('./store.js');
+const { itemDisplayName, percentile } = require('./pricing.js');
+const { COLLECTION, getArchiveStats } = require('./transactionarchive.js');
+
+const MARKET_CACHE_KEY = 'market:stats';
+
+const HOUR = 60 * 60 * 1000;
+const WINDOWS = { hour: HOUR, day: 24 * HOUR, week: 7 * 24 * HOUR };
+
+// Items listed in top_items (ranked by money volume over the week)
+const TOP_ITEMS = 10;
+
+/**
+ * Market statistics for the week up to `now`
+ */
+async function computeMarketStats(now = Date.now()) {
+    const archive = await getArchiveStats();
+    const from = now - WINDOWS.week;
+
+    const sales = [];
+    for (const partition of await store.partitionsBetween(COLLECTION, 'sales', from, now)) {
+        for (const record of await store.read(COLLECTION, partition)) {
+            if (record.t >= from && record.t <= now) sales.push(record);
+        }
+    }
+
+    const windows = {};
+    for (const [name, length] of Object.entries(WINDOWS)) {
+        const start = now - length;
+        const inWindow = sales.filter(record => record.t >= start);
+        windows[name] = {
+            sales: inWindow.length,
+            volume: inWindow.reduce((sum, record) => sum + record.price, 0),
+            complete: archive.since !== null && archive.since <= start
+        };
+    }
+
+    const items = new Map();
+    for (const record of sales) {
+        const id = record.item.id;
+        if (!items.has(id)) items.set(id, { id, name: itemDisplayName(id), sales: 0, quantity: 0, volume: 0 });
+        const entry = items.get(id);
+        entry.sales++;
+        entry.quantity += Math.max(1, record.item.count || 1);
+        entry.volume += record.price;
+    }
+    const topItems = [...items.values()]
+        .sort((a, b) => b.volume - a.volume || b.sales - a.sales)
+        .slice(0, TOP_ITEMS)
+        .map(entry => ({ ...entry, avg_unit_price: Math.round(entry.volume / entry.quantity) }));
+
+    // Only sales whose listing was seen by an auction scan know when they were listed
+    const durations = sales
+        .filter(record => Number.isFinite(record.listed_at))
+        .map(record => record.t - record.listed_at)
+        .sort((a, b) => a - b);
+
+    return {
+        generated_at: now,
+        windows,
+        top_items: topItems,
+        time_to_sell: {
+            median_ms: durations.length > 0 ? Math.round(percentile(durations, 50)) : null,
+            samples: durations.length
+        },
+        archive
+    };
+}
+
+/**
+ * Market statistics from the shared cache, recomputed when they expire
+ * Resolves to the cache entry ({ value, status, age, policy })
+ */
+function getMarketStats() {
+    return responseCache.fetch(MARKET_CACHE_KEY, getCachePolicy(MARKET_CACHE_KEY), () => computeMarketStats());
+}
+
+module.exports = { MARKET_CACHE_KEY, computeMarketStats, getMarketStats };
@@ -0,0 +1,43 @@
+// Price guide - per-item prices from the latest full auction house scan, shared by /api/prices and Discord commands
+// Each item also carries sold-price metrics from the transaction archive (see soldprices.js)
+
+const { getCachePolicy, responseCache } = require('./cache.js');
+const { aggregatePrices } = require('./pricing.js');
+const { getLatestScan, isStaleScan, scanMeta } = require('./auctionscan.js');
+const { addSoldPrices } = require('./soldprices.js');
+
+const PRICES_CACHE_KEY = 'prices:aggregate';
+
+/**
+ * Aggregate per-unit prices from the latest full auction house scan, with sold prices.
+ * Only reads the stored scan - crawling is left to /api/cron/auction. Before the first scan
+ * the guide is empty with `scan: null`.
+ */
+async function buildPriceAggregate() {
+    const scan = await getLatestScan();
+    if (!scan) {
+        return { items: [], total_listings: 0, scan: null, sold: null };
+    }
+
+    const items = aggregatePrices(scan.listings);
+    const sold = await addSoldPrices(items);
+
+    return {
+        items,
+        total_listings: scan.listings.length,
+        scan: { ...scanMeta(scan), stale: isStaleScan(scan) },
+        sold
+    };
+}
+
+/**
+ * The price guide from the shared cache, rebuilt when it expires
+ * Resolves to the cache entry ({ value, status, age, policy })
+ */
+function getPriceGuide() {
+    // Don't cache the empty guide, so the first scan is picked up straight away
+    const policy = { ...getCachePolicy(PRICES_CACHE_KEY), cacheable: guide => guide.scan !== null };
+    return responseCache.fetch(PRICES_CACHE_KEY, policy, buildPriceAggregate);
+}
+
+module.exports = { PRICES_CACHE_KEY, buildPriceAggregate, getPriceGuide };
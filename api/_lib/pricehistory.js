@@ -0,0 +1,145 @@
+// Price history - a shared time series of the price guide aggregate, one partition per item per day
+
+const { store, dayKey } = require('./store.js');
+
+const COLLECTION = 'prices';
+
+// Bucket width per range so a series stays a few hundred points at most
+const BUCKETS = {
+    '24h': 0,
+    '7d': 3600000,
+    '30d': 4 * 3600000,
+    'all': 86400000
+};
+
+// Candle width per range for the price chart
+const CANDLES = {
+    '24h': 3600000,
+    '7d': 6 * 3600000,
+    '30d': 86400000,
+    'all': 86400000
+};
+
+/**
+ * Store partition name for an item id (minecraft:diamond_sword -> diamond_sword)
+ */
+function itemKey(itemId) {
+    return String(itemId).replace(/^minecraft:/i, '').toLowerCase().replace(/[^a-z0-9_-]/g, '_');
+}
+
+/**
+ * Append one point per item from a freshly built aggregate
+ */
+async function recordPriceHistory(items, now = Date.now()) {
+    const day = dayKey(now);
+    for (const item of items) {
+        await store.append(COLLECTION, `${itemKey(item.id)}/${day}`, [{
+            t: now,
+            avg: item.avg_price,
+            median: item.median_price,
+            min: item.min_price,
+            max: item.max_price,
+            listings: item.listings
+        }]);
+    }
+}
+
+/**
+ * Merge points into buckets of `width` ms (prices averaged, min/max kept, listings averaged)
+ */
+function bucketPoints(points, width) {
+    if (!width) return points;
+
+    const buckets = new Map();
+    for (const point of points) {
+        const start = Math.floor(point.time / width) * width;
+        if (!buckets.has(start)) buckets.set(start, []);
+        buckets.get(start).push(point);
+    }
+
+    const mean = (list, field) => Math.round(list.reduce((sum, p) => sum + p[field], 0) / list.length);
+    return [...buckets.entries()].map(([time, list]) => ({
+        time,
+        avg: mean(list, 'avg'),
+        median: mean(list, 'median'),
+        min: Math.min(...list.map(p => p.min)),
+        max: Math.max(...list.map(p => p.max)),
+        listings: mean(list, 'listings')
+    }));
+}
+
+/**
+ * Merge points into OHLC candles of the median per-unit price, with listing volume
+ */
+function candlePoints(points, width) {
+    const candles = [];
+    for (const point of points) {
+        const time = Math.floor(point.time / width) * width;
+        const last = candles[candles.length - 1];
+        if (last && last.time === time) {
+            last.high = Math.max(last.high, point.median);
+            last.low = Math.min(last.low, point.median);
+            last.close = point.median;
+            last.volume = Math.max(last.volume, point.listings);
+        } else {
+            candles.push({
+                time,
+                open: point.median,
+                high: point.median,
+                low: point.median,
+                close: point.median,
+                volume: point.listings
+            });
+        }
+    }
+    return candles;
+}
+
+/**
+ * Every recorded point for an item since `from`, oldest first
+ */
+async function readPoints(itemId, from) {
+    const points = [];
+
+    for (const partition of await store.partitionsBetween(COLLECTION, itemKey(itemId), from)) {
+        for (const row of await store.read(COLLECTION, partition)) {
+            if (row.t < from) continue;
+            points.push({
+                time: row.t,
+                avg: row.avg,
+                median: row.median,
+                min: row.min,
+                max: row.max,
+                listings: row.listings
+            });
+        }
+    }
+
+    return points.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * An item's price points since `from`, merged into buckets of `bucket` ms
+ */
+async function getPriceHistory(itemId, from, bucket = 0) {
+    return bucketPoints(await readPoints(itemId, from), bucket);
+}
+
+/**
+ * An item's price candles since `from`
+ */
+async function getPriceCandles(itemId, from, width) {
+    return candlePoints(await readPoints(itemId, from), width);
+}
+
+module.exports = {
+    COLLECTION,
+    BUCKETS,
+    CANDLES,
+    itemKey,
+    recordPriceHistory,
+    bucketPoints,
+    candlePoints,
+    getPriceHistory,
+    getPriceCandles
+};
@@ -0,0 +1,277 @@
+// Price guide aggregation - per-unit prices by item from a set of auction listings
+
+/**
+ * Display name for an item id (minecraft:diamond_sword -> Diamond Sword)
+ */
+function itemDisplayName(itemId) {
+    const name = itemId.replace('minecraft:', '').replace(/_/g, ' ');
+    return name.split(' ').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+}
+
+// Fraction trimmed from each end for the trimmed mean
+const TRIM_FRACTION = 0.1;
+
+// Listings beyond this many IQRs outside the quartiles are rejected as outliers
+const IQR_FENCE = 1.5;
+
+/**
+ * Percentile of a sorted array with linear interpolation between ranks (p in 0..100)
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Mean after dropping `fraction` of the values from each end of a sorted array
+ */
+function trimmedMean(sorted, fraction = TRIM_FRACTION) {
+    const cut = Math.floor(sorted.length * fraction);
+    const kept = sorted.slice(cut, sorted.length - cut);
+    return kept.reduce((a, b) => a + b, 0) / kept.length;
+}
+
+/**
+ * Split sorted prices into inliers and outliers using Tukey's IQR fences
+ * Fewer than 4 prices can't give meaningful quartiles, so nothing is rejected
+ */
+function rejectOutliers(sorted) {
+    if (sorted.length < 4) return { inliers: sorted, outliers: [] };
+
+    const q1 = percentile(sorted, 25);
+    const q3 = percentile(sorted, 75);
+    const iqr = q3 - q1;
+    const low = q1 - IQR_FENCE * iqr;
+    const high = q3 + IQR_FENCE * iqr;
+
+    return {
+        inliers: sorted.filter(price => price >= low && price <= high),
+        outliers: sorted.filter(price => price < low || price > high)
+    };
+}
+
+/**
+ * How far the statistics can be trusted, from the number of listings they rest on
+ */
+function confidenceLevel(sampleSize) {
+    if (sampleSize >= 10) return 'high';
+    if (sampleSize >= 4) return 'medium';
+    return 'low';
+}
+
+/**
+ * Robust statistics for a list of per-unit prices
+ */
+function priceStats(prices) {
+    const sorted = prices.slice().sort((a, b) => a - b);
+    const { inliers, outliers } = rejectOutliers(sorted);
+
+    return {
+        avg_price: Math.round(trimmedMean(inliers)),
+        median_price: Math.round(percentile(inliers, 50)),
+        min_price: Math.round(inliers[0]),
+        max_price: Math.round(inliers[inliers.length - 1]),
+        percentiles: {
+            p10: Math.round(percentile(inliers, 10)),
+            p25: Math.round(percentile(inliers, 25)),
+            p50: Math.round(percentile(inliers, 50)),
+            p75: Math.round(percentile(inliers, 75)),
+            p90: Math.round(percentile(inliers, 90))
+        },
+        outliers: outliers.length,
+        sample_size: inliers.length,
+        confidence: confidenceLevel(inliers.length)
+    };
+}
+
+// Lore lines that change what an item is ("Type: Zombie" on a spawner, "Tier: 3" on a crate key)
+const NOTABLE_LORE = /^(type|tier|rarity|edition)\s*:\s*(.+)$/i;
+
+/**
+ * Plain text of a lore line (string with colour codes or a JSON text component)
+ */
+function loreText(line) {
+    if (typeof line === 'string') return line.replace(/§[0-9a-fk-or]/gi, '').trim();
+    if (line && typeof line === 'object') {
+        return (loreText(line.text || '') + (line.extra || []).map(loreText).join('')).trim();
+    }
+    return '';
+}
+
+/**
+ * Notable lore tags of an item (e.g. ['type:zombie'])
+ */
+function notableLore(item) {
+    const tags = [];
+    for (const line of Array.isArray(item.lore) ? item.lore : []) {
+        const match = loreText(line).match(NOTABLE_LORE);
+        if (match) {
+            tags.push(`${match[1].toLowerCase()}:${match[2].toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')}`);
+        }
+    }
+    return tags.sort();
+}
+
+/**
+ * Enchantments of an item as { name: level } without the minecraft: prefix
+ */
+function itemEnchantments(item) {
+    const levels = item.enchants?.enchantments?.levels || {};
+    const enchantments = {};
+    for (const name of Object.keys(levels).sort()) {
+        enchantments[name.replace(/^minecraft:/i, '')] = levels[name];
+    }
+    return enchantments;
+}
+
+/**
+ * Variant key of an item: its id plus enchantments and notable lore
+ * e.g. minecraft:netherite_sword[mending=1,sharpness=5] or minecraft:spawner[type:zombie]
+ */
+function variantKey(item) {
+    const parts = [
+        ...Object.entries(itemEnchantments(item)).map(([name, level]) => `${name}=${level}`),
+        ...notableLore(item)
+    ];
+    return parts.length ? `${item.id}[${parts.join(',')}]` : item.id;
+}
+
+/**
+ * Average price each enchantment level adds to an item: the median of listings with it
+ * minus the median of listings without that enchantment at all
+ */
+function enchantmentValues(entries) {
+    const levels = new Map();
+    for (const entry of entries) {
+        for (const [name, level] of Object.entries(entry.enchantments)) {
+            levels.set(`${name}=${level}`, { enchantment: name, level });
+        }
+    }
+
+    const values = [];
+    for (const { enchantment, level } of levels.values()) {
+        const withIt = entries.filter(entry => entry.enchantments[enchantment] === level).map(entry => entry.price);
+        const without = entries.filter(entry => !(enchantment in entry.enchantments)).map(entry => entry.price);
+        if (withIt.length === 0 || without.length === 0) continue;
+
+        values.push({
+            enchantment,
+            level,
+            added_price: priceStats(withIt).median_price - priceStats(without).median_price,
+            listings: withIt.length
+        });
+    }
+
+    return values.sort((a, b) => b.added_price - a.added_price);
+}
+
+/**
+ * Aggregate per-unit prices by item, with a breakdown by variant (enchantments and notable lore)
+ * avg/median/min/max and percentiles are computed after outlier rejection; listings counts everything
+ * except filled containers (see valuation.js)
+ */
+function aggregatePrices(listings) {
+    const priceData = {};
+
+    for (const listing of listings) {
+        if (!listing.item?.id || !listing.price) continue;
+        // A filled container is priced by its contents, not as the container
+        if (Array.isArray(listing.item.contents) && listing.item.contents.length > 0) continue;
+
+        const itemId = listing.item.id;
+        const count = Math.max(1, listing.item.count || 1);
+        const pricePerItem = listing.price / count;
+
+        if (!priceData[itemId]) {
+            priceData[itemId] = { id: itemId, name: itemDisplayName(itemId), entries: [] };
+        }
+        priceData[itemId].entries.push({
+            price: pricePerItem,
+            variant: variantKey(listing.item),
+            enchantments: itemEnchantments(listing.item),
+            lore: notableLore(listing.item)
+        });
+    }
+
+    const items = [];
+    for (const data of Object.values(priceData)) {
+        const variants = new Map();
+        for (const entry of data.entries) {
+            if (!variants.has(entry.variant)) {
+                variants.set(entry.variant, { key: entry.variant, enchantments: entry.enchantments, lore: entry.lore, prices: [] });
+            }
+            variants.get(entry.variant).prices.push(entry.price);
+        }
+
+        items.push({
+            id: data.id,
+            name: data.name,
+            listings: data.entries.length,
+            ...priceStats(data.entries.map(entry => entry.price)),
+            variants: [...variants.values()]
+                .map(({ prices, ...variant }) => ({ ...variant, listings: prices.length, ...priceStats(prices) }))
+                .sort((a, b) => b.listings - a.listings || b.median_price - a.median_price),
+            enchantment_values: enchantmentValues(data.entries)
+        });
+    }
+
+    return items;
+}
+
+// Sortable statistics: sort=<key>_asc or <key>_desc
+const SORT_KEYS = {
+    price: item => item.avg_price,
+    median: item => item.median_price,
+    min: item => item.min_price,
+    max: item => item.max_price,
+    p10: item => item.percentiles.p10,
+    p25: item => item.percentiles.p25,
+    p75: item => item.percentiles.p75,
+    p90: item => item.percentiles.p90,
+    listings: item => item.listings,
+    confidence: item => item.sample_size,
+    // Sold prices (see soldprices.js); items that haven't sold sort as 0
+    sold: item => item.sold?.avg_price_7d ?? 0,
+    sales: item => item.sold?.sales_7d ?? 0
+};
+
+/**
+ * Sort items in place by a sort parameter (name_asc, price_desc, p90_asc, listings, ...)
+ * Unknown values sort by price, highest first
+ */
+function sortItems(items, sort) {
+    const match = String(sort).match(/^([a-z0-9]+)(?:_(asc|desc))?$/);
+    const [, key, direction] = match || [];
+
+    if (key === 'name') {
+        const order = direction === 'desc' ? -1 : 1;
+        return items.sort((a, b) => order * a.name.localeCompare(b.name));
+    }
+
+    // Own keys only - inherited names such as "constructor" are unknown keys
+    const known = Object.hasOwn(SORT_KEYS, key);
+    const value = known ? SORT_KEYS[key] : SORT_KEYS.price;
+    // Without a direction (or for an unknown key) highest comes first
+    const order = direction === 'asc' && known ? 1 : -1;
+    return items.sort((a, b) => order * (value(a) - value(b)));
+}
+
+module.exports = {
+    SORT_KEYS,
+    itemDisplayName,
+    percentile,
+    trimmedMean,
+    rejectOutliers,
+    confidenceLevel,
+    priceStats,
+    loreText,
+    notableLore,
+    itemEnchantments,
+    variantKey,
+    enchantmentValues,
+    aggregatePrices,
+    sortItems
+};
@@ -0,0 +1,130 @@
+// Rank index - every player's position on each leaderboard, from full walks of the boards
+//
+// Snapshots only keep the top pages, so the ranks cron walks each board to its last page and
+// stores it as DATA_DIR/ranks/boards/<type>.ndjson. A walk that runs out of time is saved in
+// ranks/building/<type>.ndjson and resumed on the next run; the previous index is served meanwhile.
+
+const { LEADERBOARD_TYPES } = require('../config.js');
+const { store } = require('./store.js');
+const { walkBoard } = require('./leaderboards.js');
+
+const COLLECTION = 'ranks';
+
+// Rebuild a type's index once it is this old (ms)
+const RANK_INDEX_MAX_AGE = parseInt(process.env.RANK_INDEX_MAX_AGE) || 60 * 60 * 1000;
+
+// Safety cap on pages walked per board (45 players each)
+const RANK_INDEX_MAX_PAGES = parseInt(process.env.RANK_INDEX_MAX_PAGES) || 5000;
+
+// Stop requesting pages after this long; unfinished walks resume on the next run
+const RANK_INDEX_BUDGET_MS = parseInt(process.env.RANK_INDEX_BUDGET_MS) || 240000;
+
+/**
+ * Walk the boards that are due (unfinished walks first, then the oldest index) within the time budget
+ * Returns a per-type summary of the types worked on
+ */
+async function buildRankIndex({
+    types = LEADERBOARD_TYPES,
+    maxAge = RANK_INDEX_MAX_AGE,
+    maxPages = RANK_INDEX_MAX_PAGES,
+    budgetMs = RANK_INDEX_BUDGET_MS,
+    now = Date.now()
+} = {}) {
+    const deadline = Date.now() + budgetMs;
+    const state = (await store.readDoc(COLLECTION, 'state')) || {};
+
+    const due = types
+        .filter(type => state[type]?.building || !(state[type]?.built_at > now - maxAge))
+        .sort((a, b) => Boolean(state[b]?.building) - Boolean(state[a]?.building) ||
+            (state[a]?.built_at || 0) - (state[b]?.built_at || 0));
+
+    const summary = {};
+    for (const type of due) {
+        if (Date.now() >= deadline) break;
+
+        const entry = state[type] || {};
+        const building = entry.building || { started_at: now, next_page: 1 };
+        const previous = entry.building ? await store.read(COLLECTION, `building/${type}`) : [];
+        if (!entry.building) await store.remove(COLLECTION, `building/${type}`);
+
+        const walk = await walkBoard(type, {
+            startPage: building.next_page,
+            maxPages,
+            deadline,
+            seen: new Set(previous.map(row => row.username.toLowerCase()))
+        });
+        const rows = previous.concat(walk.rows);
+
+        // Finished, or stopped by the page cap (the index then covers the top of the board only)
+        if (walk.finished || walk.next_page > maxPages) {
+            await store.write(COLLECTION, `boards/${type}`, rows);
+            await store.remove(COLLECTION, `building/${type}`);
+            state[type] = { built_at: now, started_at: building.started_at, players: rows.length, complete: walk.finished, error: null, building: null };
+        } else {
+            await store.append(COLLECTION, `building/${type}`, walk.rows);
+            state[type] = { ...entry, error: walk.error, building: { ...building, next_page: walk.next_page } };
+        }
+
+        summary[type] = { players: rows.length, finished: walk.finished, next_page: walk.next_page, error: walk.error };
+    }
+
+    await store.writeDoc(COLLECTION, 'state', state);
+    return { time: now, types: summary };
+}
+
+// Indexed boards by lowercase name, kept per instance until the index is rebuilt
+const boards = new Map();
+
+async function loadBoard(type, builtAt) {
+    const cached = boards.get(type);
+    if (cached?.built_at === builtAt) return cached.players;
+
+    const players = new Map();
+    for (const row of await store.read(COLLECTION, `boards/${type}`)) {
+        players.set(row.username.toLowerCase(), row);
+    }
+    boards.set(type, { built_at: builtAt, players });
+    return players;
+}
+
+/**
+ * A player's rank on each leaderboard type from the index
+ * percentile is the share of players ranked below; both it and top_percent need a complete index
+ */
+async function getPlayerRanks(username, types = LEADERBOARD_TYPES) {
+    const name = username.toLowerCase();
+    const state = (await store.readDoc(COLLECTION, 'state')) || {};
+    const ranks = [];
+
+    for (const type of types) {
+        const entry = state[type];
+        if (!entry?.built_at) {
+            ranks.push({ type, rank: null, value: null, players: null, percentile: null, top_percent: null, complete: false, indexed_at: null });
+            continue;
+        }
+
+        const row = (await loadBoard(type, entry.built_at)).get(name);
+        const exact = Boolean(row && entry.complete && entry.players > 0);
+        ranks.push({
+            type,
+            rank: row ? row.rank : null,
+            value: row ? row.value : null,
+            players: entry.players,
+            percentile: exact ? Math.max(0, Math.round(1000 * (entry.players - row.rank) / entry.players) / 10) : null,
+            top_percent: exact ? Math.min(100, Math.ceil(1000 * row.rank / entry.players) / 10) : null,
+            complete: entry.complete,
+            indexed_at: entry.built_at
+        });
+    }
+
+    return ranks;
+}
+
+module.exports = {
+    COLLECTION,
+    RANK_INDEX_MAX_AGE,
+    RANK_INDEX_MAX_PAGES,
+    RANK_INDEX_BUDGET_MS,
+    buildRankIndex,
+    getPlayerRanks
+};
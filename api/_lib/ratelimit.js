@@ -0,0 +1,137 @@
+// Outbound token bucket with priority classes
+// Waiters are served interactive first, then default, then background
+//
+// The bucket lives in memory, so each serverless instance has its own: the configured rate
+// bounds one instance, not the deployment. Concurrent instances can together exceed it.
+
+const PRIORITIES = {
+    interactive: 0,
+    default: 1,
+    background: 2
+};
+
+/**
+ * Error thrown when a request waited longer than its budget for a token
+ */
+class RateLimitError extends Error {
+    constructor(message, waited) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.waited = waited;
+    }
+}
+
+/**
+ * Create a token bucket
+ * ratePerMinute - sustained rate, burst - bucket size,
+ * reserve - tokens background requests may never take (kept for interactive)
+ */
+function createTokenBucket({ ratePerMinute = 240, burst = 10, reserve = 2 } = {}) {
+    const ratePerMs = ratePerMinute / 60000;
+    const queue = [];
+    let tokens = burst;
+    let lastRefill = Date.now();
+    let pausedUntil = 0;
+    let timer = null;
+    let sequence = 0;
+
+    const metrics = {
+        granted: { interactive: 0, default: 0, background: 0 },
+        queued: 0,
+        rejected: 0,
+        paused: 0
+    };
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + (now - lastRefill) * ratePerMs);
+        lastRefill = now;
+    };
+
+    // Background requests must leave `reserve` tokens in the bucket
+    const floorFor = (waiter) => waiter.priority === PRIORITIES.background ? Math.min(reserve, burst - 1) : 0;
+
+    const schedule = () => {
+        if (timer || queue.length === 0) return;
+        const needed = floorFor(queue[0]) + 1 - tokens;
+        const wait = Math.max(pausedUntil - Date.now(), needed > 0 ? needed / ratePerMs : 0, 1);
+        timer = setTimeout(drain, Math.ceil(wait));
+    };
+
+    const drain = () => {
+        timer = null;
+        refill();
+
+        while (queue.length > 0 && Date.now() >= pausedUntil) {
+            const waiter = queue[0];
+            if (tokens - 1 < floorFor(waiter)) break;
+            tokens -= 1;
+            queue.shift();
+            clearTimeout(waiter.timeout);
+            metrics.granted[waiter.className]++;
+            waiter.resolve();
+        }
+
+        schedule();
+    };
+
+    return {
+        /**
+         * Wait for a token. Rejects with RateLimitError after maxWait ms.
+         */
+        acquire(priority = 'default', maxWait = 20000) {
+            const className = priority in PRIORITIES ? priority : 'default';
+            const started = Date.now();
+
+            return new Promise((resolve, reject) => {
+                const waiter = { priority: PRIORITIES[className], className, seq: sequence++, resolve };
+
+                waiter.timeout = setTimeout(() => {
+                    const index = queue.indexOf(waiter);
+                    if (index !== -1) queue.splice(index, 1);
+                    // Nobody left waiting - don't keep a refill timer alive
+                    if (queue.length === 0) {
+                        clearTimeout(timer);
+                        timer = null;
+                    }
+                    metrics.rejected++;
+                    reject(new RateLimitError('Outbound rate limit budget exhausted', Date.now() - started));
+                }, maxWait);
+
+                // Keep the queue ordered by priority, then arrival
+                let index = queue.findIndex(w => w.priority > waiter.priority);
+                if (index === -1) index = queue.length;
+                queue.splice(index, 0, waiter);
+
+                drain();
+                if (queue.includes(waiter)) metrics.queued++;
+            });
+        },
+
+        /**
+         * Stop granting tokens for ms (e.g. after an upstream 429 Retry-After)
+         */
+        pause(ms) {
+            if (!ms || ms <= 0) return;
+            pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+            tokens = 0;
+            metrics.paused++;
+            clearTimeout(timer);
+            timer = null;
+            schedule();
+        },
+
+        stats() {
+            refill();
+            return {
+                ...metrics,
+                granted: { ...metrics.granted },
+                tokens: Math.floor(tokens),
+                waiting: queue.length,
+                paused_for_ms: Math.max(0, pausedUntil - Date.now())
+            };
+        }
+    };
+}
+
+module.exports = { PRIORITIES, RateLimitError, createTokenBucket };
@@ -0,0 +1,89 @@
+// Retry policy for upstream calls - exponential backoff with full jitter
+
+// Statuses worth retrying: timeouts, rate limits and transient server errors
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+const DEFAULT_RETRY_POLICY = {
+    retries: 2,           // extra attempts after the first
+    baseDelay: 300,       // ms, doubled every attempt
+    maxDelay: 5000,       // ms, cap for computed backoff
+    maxRetryAfter: 10000  // ms, give up if upstream asks us to wait longer
+};
+
+/**
+ * Resolve the retry policy for a request. Only idempotent GETs are retried.
+ */
+function resolveRetryPolicy(method = 'GET', overrides) {
+    if (overrides === false || method !== 'GET') {
+        return { ...DEFAULT_RETRY_POLICY, retries: 0 };
+    }
+    return { ...DEFAULT_RETRY_POLICY, ...(overrides || {}) };
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) return Math.max(0, date - now);
+
+    return null;
+}
+
+/**
+ * Delay before the next attempt (attempt is 1-based)
+ */
+function retryDelay(attempt, policy, retryAfter = null) {
+    if (retryAfter !== null) return retryAfter;
+    const cap = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+    return Math.floor(Math.random() * cap);
+}
+
+/**
+ * Whether a { success, status } result should be retried
+ * Results flagged retryable: false (e.g. local rate limiting) are never retried
+ */
+function isRetryable(result) {
+    return !result.success && result.retryable !== false && RETRYABLE_STATUSES.includes(result.status);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run fn(attempt) until it succeeds, is not retryable or the policy is exhausted.
+ * fn resolves to { success, status, data, retryAfter? }; the final result gets `attempts`.
+ */
+async function withRetry(fn, policy = DEFAULT_RETRY_POLICY) {
+    let attempt = 0;
+
+    for (;;) {
+        attempt++;
+        const result = await fn(attempt);
+
+        if (attempt > policy.retries || !isRetryable(result)) {
+            return { ...result, attempts: attempt };
+        }
+
+        const delay = retryDelay(attempt, policy, result.retryAfter ?? null);
+        if (delay > policy.maxRetryAfter) {
+            return { ...result, attempts: attempt };
+        }
+
+        await sleep(delay);
+    }
+}
+
+module.exports = {
+    RETRYABLE_STATUSES,
+    DEFAULT_RETRY_POLICY,
+    resolveRetryPolicy,
+    parseRetryAfter,
+    retryDelay,
+    isRetryable,
+    withRetry
+};
@@ -0,0 +1,132 @@
+// Seller profiles - a player's live auctions (latest auction scan) and sales (transaction archive)
+//
+// Discounts compare per-unit prices to the current price guide median for the same variant:
+// positive means priced below the market. Filled containers are left out of the comparison.
+//
+// Live auctions are looked up in an index of the served scan by seller, built once per scan id
+// and kept in memory per serverless instance.
+
+const { getLatestScanMeta, getLatestScan } = require('./auctionscan.js');
+const { getPriceGuide } = require('./priceguide.js');
+const { buildReference } = require('./deals.js');
+const { itemDisplayName, variantKey } = require('./pricing.js');
+const { getSellerSales, getArchiveStats } = require('./transactionarchive.js');
+
+const MAX_ACTIVE = 50;
+const RECENT_SALES = 10;
+const FAVORITE_ITEMS = 5;
+
+/**
+ * Average discount of listings or sales against the guide median ({ avg_discount, compared })
+ */
+function marketDiscount(entries, reference) {
+    const discounts = [];
+    for (const entry of entries) {
+        if (Array.isArray(entry.item.contents) && entry.item.contents.length > 0) continue;
+        const stats = reference[variantKey(entry.item)];
+        if (!stats?.median_price) continue;
+
+        const unitPrice = entry.price / Math.max(1, entry.item.count || 1);
+        discounts.push((1 - unitPrice / stats.median_price) * 100);
+    }
+
+    return {
+        avg_discount: discounts.length > 0
+            ? Math.round(10 * discounts.reduce((sum, value) => sum + value, 0) / discounts.length) / 10
+            : null,
+        compared: discounts.length
+    };
+}
+
+/**
+ * Items a seller sold most often (ties go to the higher volume)
+ */
+function favoriteItems(sales) {
+    const items = new Map();
+    for (const sale of sales) {
+        const id = sale.item.id;
+        if (!items.has(id)) items.set(id, { id, name: itemDisplayName(id), sales: 0, quantity: 0, volume: 0 });
+        const entry = items.get(id);
+        entry.sales++;
+        entry.quantity += Math.max(1, sale.item.count || 1);
+        entry.volume += sale.price;
+    }
+    return [...items.values()]
+        .sort((a, b) => b.sales - a.sales || b.volume - a.volume)
+        .slice(0, FAVORITE_ITEMS);
+}
+
+let listingIndex = null;
+
+/**
+ * Listings of the served scan by lowercase seller name ({ id, scanned_at, sellers }), or null without a scan
+ * The scan is only read again when a new one is being served
+ */
+async function getListingIndex() {
+    const meta = await getLatestScanMeta();
+    if (!meta) return null;
+    if (listingIndex?.id === meta.id) return listingIndex;
+
+    const scan = await getLatestScan();
+    if (!scan) return null;
+    const sellers = new Map();
+    for (const listing of scan.listings) {
+        const key = String(listing.seller?.name || '').toLowerCase();
+        if (!sellers.has(key)) sellers.set(key, []);
+        sellers.get(key).push(listing);
+    }
+
+    listingIndex = { id: scan.id, scanned_at: scan.scanned_at, sellers };
+    return listingIndex;
+}
+
+/**
+ * Seller profile for a username (matched case-insensitively)
+ */
+async function getSellerProfile(username) {
+    const name = username.toLowerCase();
+    const [scan, archive, sales] = await Promise.all([
+        getListingIndex(),
+        getArchiveStats(),
+        getSellerSales(username)
+    ]);
+
+    // Without a scan there is no guide to compare against either
+    let reference = {};
+    if (scan) {
+        try {
+            reference = buildReference((await getPriceGuide()).value.items);
+        } catch (error) {
+            console.error('Seller profile without price guide:', error.message);
+        }
+    }
+
+    const listings = [...(scan?.sellers.get(name) || [])]
+        .sort((a, b) => (b.time_left || 0) - (a.time_left || 0));
+    const newestFirst = [...sales].sort((a, b) => b.t - a.t);
+
+    return {
+        username: listings[0]?.seller?.name || newestFirst[0]?.seller?.name || username,
+        active: {
+            count: listings.length,
+            value: listings.reduce((sum, listing) => sum + listing.price, 0),
+            listings: listings.slice(0, MAX_ACTIVE)
+        },
+        sales: {
+            count: sales.length,
+            volume: sales.reduce((sum, sale) => sum + sale.price, 0),
+            first_sale: newestFirst.length > 0 ? newestFirst[newestFirst.length - 1].t : null,
+            last_sale: newestFirst.length > 0 ? newestFirst[0].t : null,
+            recent: newestFirst.slice(0, RECENT_SALES).map(({ k, ...sale }) => sale)
+        },
+        favorite_items: favoriteItems(sales),
+        market: {
+            listings: marketDiscount(listings, reference),
+            sales: marketDiscount(sales, reference)
+        },
+        scanned_at: scan?.scanned_at || null,
+        archive
+    };
+}
+
+module.exports = { marketDiscount, favoriteItems, getListingIndex, getSellerProfile };
@@ -0,0 +1,44 @@
+// Request coalescing - concurrent calls with the same key share one in-flight promise
+
+/**
+ * Create a single-flight group with call metrics
+ */
+function createSingleFlight() {
+    const inflight = new Map();
+    const metrics = {
+        calls: 0,    // total calls into the group
+        executed: 0, // calls that actually ran the function
+        shared: 0    // calls that joined an in-flight promise (saved calls)
+    };
+
+    return {
+        /**
+         * Run fn for key, or join the call already running for key
+         */
+        do(key, fn) {
+            metrics.calls++;
+
+            if (inflight.has(key)) {
+                metrics.shared++;
+                return inflight.get(key);
+            }
+
+            metrics.executed++;
+            const promise = Promise.resolve()
+                .then(fn)
+                .finally(() => inflight.delete(key));
+
+            inflight.set(key, promise);
+            return promise;
+        },
+
+        /**
+         * Snapshot of call counters
+         */
+        stats() {
+            return { ...metrics, inflight: inflight.size };
+        }
+    };
+}
+
+module.exports = { createSingleFlight };
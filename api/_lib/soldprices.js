@@ -0,0 +1,86 @@
+// Sold prices - what items actually sold for, from the transaction archive
+//
+// Asking prices overstate value (unsold listings linger), so the price guide reports these next to
+// the listing statistics. Prices are per unit and volume-weighted: total money paid / units sold.
+
+const { store } = require('./store.js');
+const { COLLECTION, getArchiveStats } = require('./transactionarchive.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEK = 7 * DAY;
+
+/**
+ * Per-item sale totals for the week up to `now`: Map of item id ->
+ * { last, sales_24h, quantity_24h, volume_24h, sales_7d, quantity_7d, volume_7d }
+ */
+async function loadSoldTotals(now = Date.now()) {
+    const totals = new Map();
+    const from = now - WEEK;
+
+    for (const partition of await store.partitionsBetween(COLLECTION, 'sales', from, now)) {
+        for (const record of await store.read(COLLECTION, partition)) {
+            if (record.t < from || record.t > now) continue;
+            // Filled containers are priced by their contents, as in the listing statistics
+            if (Array.isArray(record.item.contents) && record.item.contents.length > 0) continue;
+
+            const id = record.item.id;
+            if (!totals.has(id)) {
+                totals.set(id, { last: null, sales_24h: 0, quantity_24h: 0, volume_24h: 0, sales_7d: 0, quantity_7d: 0, volume_7d: 0 });
+            }
+            const entry = totals.get(id);
+            const quantity = Math.max(1, record.item.count || 1);
+
+            entry.sales_7d++;
+            entry.quantity_7d += quantity;
+            entry.volume_7d += record.price;
+            if (record.t >= now - DAY) {
+                entry.sales_24h++;
+                entry.quantity_24h += quantity;
+                entry.volume_24h += record.price;
+            }
+            if (!entry.last || record.t > entry.last.t) entry.last = record;
+        }
+    }
+
+    return totals;
+}
+
+/**
+ * Sold-price metrics for an item of the price guide (null fields when it hasn't sold)
+ * sell_through is the percentage of the last day's listings that sold: sales / (sales + live listings)
+ */
+function soldMetrics(item, totals) {
+    const entry = totals.get(item.id);
+    const average = (volume, quantity) => quantity > 0 ? Math.round(volume / quantity) : null;
+
+    return {
+        last_price: entry ? entry.last.unit_price : null,
+        last_sold_at: entry ? entry.last.t : null,
+        avg_price_24h: entry ? average(entry.volume_24h, entry.quantity_24h) : null,
+        avg_price_7d: entry ? average(entry.volume_7d, entry.quantity_7d) : null,
+        sales_24h: entry?.sales_24h || 0,
+        sales_7d: entry?.sales_7d || 0,
+        sell_through: Math.round(1000 * (entry?.sales_24h || 0) / ((entry?.sales_24h || 0) + item.listings)) / 10
+    };
+}
+
+/**
+ * Add a `sold` block to each price guide item; `sold` is null on every item until the archive has run
+ * Returns the archive coverage for the response metadata
+ */
+async function addSoldPrices(items, now = Date.now()) {
+    const archive = await getArchiveStats();
+    const totals = archive.since ? await loadSoldTotals(now) : new Map();
+
+    for (const item of items) {
+        item.sold = archive.since ? soldMetrics(item, totals) : null;
+    }
+
+    return {
+        since: archive.since,
+        complete_24h: archive.since !== null && archive.since <= now - DAY,
+        complete_7d: archive.since !== null && archive.since <= now - WEEK
+    };
+}
+
+module.exports = { loadSoldTotals, soldMetrics, addSoldPrices };
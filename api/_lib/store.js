@@ -0,0 +1,197 @@
+// Local data store for collected history (leaderboard snapshots, price series, archives)
+// Records are appended as newline-delimited JSON under DATA_DIR/<collection>/<partition>.ndjson,
+// documents are single JSON files under DATA_DIR/<collection>/<id>.json.
+// Vercel's filesystem is ephemeral - point DATA_DIR at persistent storage to keep history.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(os.tmpdir(), 'donut-tracker-data');
+
+const NAME_PATTERN = /^[a-zA-Z0-9_-]+(\/[a-zA-Z0-9_-]+)*$/;
+
+/**
+ * Validate a collection, partition or document name (no traversal, no dots)
+ */
+function checkName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid store name: ${name}`);
+    }
+    return name;
+}
+
+/**
+ * List files under dir recursively, relative to dir
+ */
+async function walk(dir, prefix = '') {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            files.push(...await walk(path.join(dir, entry.name), relative));
+        } else {
+            files.push(relative);
+        }
+    }
+    return files;
+}
+
+/**
+ * Create a store rooted at dir
+ */
+function createStore(dir = DATA_DIR) {
+    const fileFor = (collection, name, ext) => path.join(dir, checkName(collection), ...checkName(name).split('/')) + ext;
+
+    return {
+        dir,
+
+        /**
+         * Append records to a partition
+         */
+        async append(collection, partition, records) {
+            if (!records.length) return;
+            const file = fileFor(collection, partition, '.ndjson');
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.appendFile(file, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+        },
+
+        /**
+         * Read every record in a partition (missing partitions are empty)
+         */
+        async read(collection, partition) {
+            let text;
+            try {
+                text = await fs.readFile(fileFor(collection, partition, '.ndjson'), 'utf8');
+            } catch (e) {
+                if (e.code === 'ENOENT') return [];
+                throw e;
+            }
+
+            const records = [];
+            for (const line of text.split('\n')) {
+                if (!line) continue;
+                try {
+                    records.push(JSON.parse(line));
+                } catch (e) {
+                    // Skip a torn line from an interrupted write
+                }
+            }
+            return records;
+        },
+
+        /**
+         * Replace a partition's records
+         */
+        async write(collection, partition, records) {
+            const file = fileFor(collection, partition, '.ndjson');
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            const tmp = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+            await fs.writeFile(tmp, records.map(record => JSON.stringify(record) + '\n').join(''));
+            await fs.rename(tmp, file);
+        },
+
+        /**
+         * Delete a partition
+         */
+        async remove(collection, partition) {
+            await fs.rm(fileFor(collection, partition, '.ndjson'), { force: true });
+        },
+
+        /**
+         * List partition names in a collection, optionally under a prefix
+         */
+        async partitions(collection, prefix = '') {
+            const base = prefix ? fileFor(collection, prefix, '') : path.join(dir, checkName(collection));
+            const files = await walk(base, prefix);
+            return files
+                .filter(file => file.endsWith('.ndjson'))
+                .map(file => file.slice(0, -'.ndjson'.length))
+                .sort();
+        },
+
+        /**
+         * Day partitions (<prefix>/<YYYY-MM-DD>) overlapping the time range [from, to]
+         */
+        async partitionsBetween(collection, prefix, from, to = Date.now()) {
+            const first = Number.isFinite(from) ? dayKey(from) : '0000-00-00';
+            const last = dayKey(to);
+            return (await this.partitions(collection, prefix)).filter(name => {
+                const day = name.slice(name.lastIndexOf('/') + 1);
+                return day >= first && day <= last;
+            });
+        },
+
+        /**
+         * Read a JSON document, or null
+         */
+        async readDoc(collection, id) {
+            try {
+                return JSON.parse(await fs.readFile(fileFor(collection, id, '.json'), 'utf8'));
+            } catch (e) {
+                if (e.code === 'ENOENT') return null;
+                throw e;
+            }
+        },
+
+        /**
+         * Write a JSON document atomically (concurrent writers each get their own temp file)
+         */
+        async writeDoc(collection, id, doc) {
+            const file = fileFor(collection, id, '.json');
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            const tmp = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify(doc));
+            await fs.rename(tmp, file);
+        },
+
+        async deleteDoc(collection, id) {
+            await fs.rm(fileFor(collection, id, '.json'), { force: true });
+        },
+
+        /**
+         * List document ids in a collection
+         */
+        async listDocs(collection) {
+            const files = await walk(path.join(dir, checkName(collection)));
+            return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length)).sort();
+        }
+    };
+}
+
+/**
+ * UTC day key (YYYY-MM-DD) used to partition time series
+ */
+function dayKey(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+// Time ranges accepted by history endpoints
+const RANGES = {
+    '24h': 86400000,
+    '7d': 7 * 86400000,
+    '30d': 30 * 86400000,
+    'all': Infinity
+};
+
+/**
+ * Start time for a named range (unknown names use fallback)
+ */
+function rangeStart(range, fallback = '30d', now = Date.now()) {
+    const span = RANGES[range] ?? RANGES[fallback];
+    return now - span;
+}
+
+// Shared instance used by all routes
+const store = createStore();
+
+module.exports = { DATA_DIR, RANGES, createStore, dayKey, rangeStart, store };
@@ -0,0 +1,267 @@
+// Transaction archive - every auction sale, kept after it leaves the upstream's short live window
+//
+// The cron polls /auction/transactions/:page newest first and stops once a page holds nothing new.
+// Sales are stored by day of sale in DATA_DIR/transactions/sales/<YYYY-MM-DD>.ndjson and again
+// by seller in transactions/sellers/<lowercase name>.ndjson for seller profiles.
+// Keys of recently stored sales live in the 'state' document so each poll can skip what it has seen.
+// A sale whose listing was in the latest auction scan also records when it was listed (listed_at).
+
+const { makeApiRequest, isValidUsername } = require('../config.js');
+const { store, dayKey } = require('./store.js');
+const { listingKey } = require('./alerts.js');
+const { getLatestScan } = require('./auctionscan.js');
+
+const COLLECTION = 'transactions';
+
+// Pages walked per poll at most (the upstream only serves about 10)
+const ARCHIVE_PAGES = parseInt(process.env.TRANSACTION_ARCHIVE_PAGES) || 10;
+
+// How far back from the newest stored sale keys are remembered for deduplication (the live
+// window is minutes long); older sales, seen after downtime, are checked against their day's partition
+const RECENT_WINDOW = 60 * 60 * 1000;
+
+// Auctions run for 48 hours; a listing's time_left counts down from this
+const LISTING_DURATION = 48 * 60 * 60 * 1000;
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Identity of a sale: the listing (seller, item variant and count, price) and time sold
+ */
+function saleKey(sale) {
+    return `${listingKey(sale)}|${sale.unixMillisDateSold}`;
+}
+
+/**
+ * Stored form of an upstream sale
+ */
+function toRecord(sale) {
+    const count = Math.max(1, sale.item.count || 1);
+    return {
+        t: sale.unixMillisDateSold,
+        k: saleKey(sale),
+        item: sale.item,
+        price: sale.price,
+        unit_price: Math.round(sale.price / count),
+        seller: sale.seller || null,
+        listed_at: null
+    };
+}
+
+/**
+ * Fill in listed_at for sales whose listing was in the latest auction scan
+ * Listings posted after that scan and sold before the next one are not matched
+ */
+async function matchListings(records) {
+    const scan = await getLatestScan();
+    if (!scan) return;
+
+    const listedAt = new Map();
+    for (const listing of scan.listings) {
+        if (!Number.isFinite(listing.time_left)) continue;
+        listedAt.set(listingKey(listing), scan.scanned_at + listing.time_left - LISTING_DURATION);
+    }
+
+    for (const record of records) {
+        const listed = listedAt.get(record.k.slice(0, record.k.lastIndexOf('|')));
+        if (listed !== undefined && scan.scanned_at <= record.t && listed <= record.t) {
+            record.listed_at = Math.round(listed);
+        }
+    }
+}
+
+/**
+ * Partition holding a seller's sales, or null for names that aren't Minecraft usernames
+ */
+function sellerPartition(name) {
+    return isValidUsername(name || '') ? `sellers/${name.toLowerCase()}` : null;
+}
+
+/**
+ * Every archived sale by a seller, in the order they were archived
+ */
+async function getSellerSales(name) {
+    const partition = sellerPartition(name);
+    return partition ? store.read(COLLECTION, partition) : [];
+}
+
+/**
+ * Poll the transaction pages and store sales not seen before
+ */
+async function ingestTransactions({ pages = ARCHIVE_PAGES, now = Date.now() } = {}) {
+    const state = (await store.readDoc(COLLECTION, 'state')) || { recent: {}, total: 0 };
+    const recent = new Map(Object.entries(state.recent));
+    // Every stored sale at or after the cutoff has its key in `recent`
+    const cutoff = (state.newest_sale || 0) - RECENT_WINDOW;
+
+    // Keys of older day partitions, loaded only when an old sale shows up
+    const partitionKeys = new Map();
+    async function isStored(record) {
+        if (recent.has(record.k)) return true;
+        if (record.t >= cutoff) return false;
+        const day = dayKey(record.t);
+        if (!partitionKeys.has(day)) {
+            const records = await store.read(COLLECTION, `sales/${day}`);
+            partitionKeys.set(day, new Set(records.map(r => r.k)));
+        }
+        return partitionKeys.get(day).has(record.k);
+    }
+
+    const summary = { pages: 0, fetched: 0, added: 0, duplicates: 0, caught_up: false, error: null };
+    const added = [];
+
+    for (let page = 1; page <= pages; page++) {
+        const result = await makeApiRequest(`/auction/transactions/${page}`, {
+            priority: 'background',
+            cache: false
+        });
+        if (!result.success) {
+            summary.error = `page ${page}: ${result.data?.message || result.status}`;
+            break;
+        }
+
+        const sales = (Array.isArray(result.data?.result) ? result.data.result : [])
+            .filter(sale => sale?.item?.id && Number.isFinite(sale.unixMillisDateSold));
+        summary.pages++;
+        if (sales.length === 0) break;
+
+        let fresh = 0;
+        for (const record of sales.map(toRecord)) {
+            summary.fetched++;
+            if (await isStored(record)) {
+                summary.duplicates++;
+                continue;
+            }
+            recent.set(record.k, record.t);
+            added.push(record);
+            fresh++;
+        }
+
+        // Everything on this page was already stored, so the older pages are too
+        if (fresh === 0) {
+            summary.caught_up = true;
+            break;
+        }
+    }
+
+    if (added.length > 0) await matchListings(added);
+
+    // Append by day of sale
+    const byDay = new Map();
+    for (const record of added) {
+        const day = dayKey(record.t);
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(record);
+    }
+    for (const [day, records] of byDay) {
+        await store.append(COLLECTION, `sales/${day}`, records);
+    }
+
+    const bySeller = new Map();
+    for (const record of added) {
+        const seller = sellerPartition(record.seller?.name);
+        if (!seller) continue;
+        if (!bySeller.has(seller)) bySeller.set(seller, []);
+        bySeller.get(seller).push(record);
+    }
+    for (const [partition, records] of bySeller) {
+        await store.append(COLLECTION, partition, records);
+    }
+    summary.added = added.length;
+
+    const newestSale = Math.max(state.newest_sale || 0, ...added.map(record => record.t));
+    for (const [key, time] of recent) {
+        if (time < newestSale - RECENT_WINDOW) recent.delete(key);
+    }
+    await store.writeDoc(COLLECTION, 'state', {
+        recent: Object.fromEntries(recent),
+        total: state.total + added.length,
+        first_run: state.first_run || now,
+        last_run: now,
+        last_added: added.length > 0 ? now : state.last_added || null,
+        newest_sale: newestSale || null
+    });
+
+    return summary;
+}
+
+/**
+ * Archive totals, when collection started and the last poll time
+ */
+async function getArchiveStats() {
+    const state = await store.readDoc(COLLECTION, 'state');
+    return {
+        total: state?.total || 0,
+        since: state?.first_run || null,
+        last_run: state?.last_run || null,
+        newest_sale: state?.newest_sale || null
+    };
+}
+
+/**
+ * Opaque cursor for the position after a record (sales are ordered newest first, then by key)
+ */
+function encodeCursor(record) {
+    return Buffer.from(JSON.stringify([record.t, record.k])).toString('base64url');
+}
+
+/**
+ * Decode a cursor, or null when it is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const [t, k] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return Number.isFinite(t) && typeof k === 'string' ? { t, k } : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+const newestFirst = (a, b) => b.t - a.t || (a.k < b.k ? 1 : a.k > b.k ? -1 : 0);
+
+/**
+ * Archived sales matching the filters, newest first
+ * filters: item (id), seller (name), minPrice/maxPrice (sale price), from/to (ms), after (decoded cursor), limit
+ * Returns { sales, next_cursor } - next_cursor is null on the last page
+ */
+async function queryArchive({ item = null, seller = null, minPrice = null, maxPrice = null, from = 0, to = Date.now(), after = null, limit = DEFAULT_LIMIT } = {}) {
+    const sellerName = seller ? seller.toLowerCase() : null;
+    const upper = after ? Math.min(to, after.t) : to;
+    const matches = (record) =>
+        record.t >= from && record.t <= to &&
+        (!after || newestFirst(after, record) < 0) &&
+        (!item || record.item?.id === item) &&
+        (!sellerName || String(record.seller?.name || '').toLowerCase() === sellerName) &&
+        (minPrice === null || record.price >= minPrice) &&
+        (maxPrice === null || record.price <= maxPrice);
+
+    const partitions = (await store.partitionsBetween(COLLECTION, 'sales', from, upper)).reverse();
+    const sales = [];
+
+    // Walk days newest first until one more sale than the page is found
+    for (const partition of partitions) {
+        const records = (await store.read(COLLECTION, partition)).filter(matches).sort(newestFirst);
+        sales.push(...records);
+        if (sales.length > limit) break;
+    }
+
+    const page = sales.slice(0, limit);
+    return {
+        sales: page.map(({ k, ...record }) => record),
+        next_cursor: sales.length > limit ? encodeCursor(page[page.length - 1]) : null
+    };
+}
+
+module.exports = {
+    COLLECTION,
+    ARCHIVE_PAGES,
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    saleKey,
+    getSellerSales,
+    ingestTransactions,
+    getArchiveStats,
+    decodeCursor,
+    queryArchive
+};
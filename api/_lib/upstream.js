@@ -0,0 +1,242 @@
+// Upstream DonutSMP client - the only place that talks to the API
+// Handles auth, timeouts, rate limiting, retries, coalescing, caching and logging
+
+const http = require('http');
+const https = require('https');
+const { getCachePolicy, responseCache } = require('./cache.js');
+const { createSingleFlight } = require('./singleflight.js');
+const { resolveRetryPolicy, parseRetryAfter, withRetry } = require('./retry.js');
+const { createTokenBucket } = require('./ratelimit.js');
+const { createKeyPool } = require('./keypool.js');
+
+/**
+ * Send an HTTP request and buffer the response body.
+ * Uses node:http(s) rather than fetch because the auction endpoint
+ * takes its search/sort options as a body on a GET request.
+ * `lookup` replaces DNS resolution for the connection (see net.connect).
+ */
+function sendRequest(url, { method = 'GET', headers = {}, body = null, timeout = 30000, lookup } = {}) {
+    const target = new URL(url);
+    const transport = target.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+        const req = transport.request(target, {
+            method,
+            headers: body ? { ...headers, 'Content-Length': Buffer.byteLength(body) } : headers,
+            ...(lookup && { lookup })
+        }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const raw = Buffer.concat(chunks);
+                resolve({ status: res.statusCode, headers: res.headers, text: raw.toString('utf8'), raw });
+            });
+            res.on('error', reject);
+        });
+
+        req.setTimeout(timeout, () => {
+            const error = new Error('Request timeout');
+            error.name = 'AbortError';
+            req.destroy(error);
+        });
+        req.on('error', reject);
+
+        if (body) req.write(body);
+        req.end();
+    });
+}
+
+/**
+ * Standard error envelope, matching the DonutSMP API's own error shape
+ */
+function errorResult(status, message, reason, extra = {}) {
+    return {
+        success: false,
+        status,
+        ...extra,
+        data: { message, reason, status }
+    };
+}
+
+/**
+ * Log an upstream call according to UPSTREAM_LOG
+ * 'errors' (default) logs failed calls, 'all' logs every call, 'off' disables
+ */
+function logCall(method, endpoint, result, started) {
+    const level = (process.env.UPSTREAM_LOG || 'errors').toLowerCase();
+    if (level === 'off') return;
+    if (result.success && level !== 'all') return;
+
+    const line = `[upstream] ${method} ${endpoint} ${result.status} ${Date.now() - started}ms`;
+    if (result.success) {
+        console.log(line);
+    } else {
+        console.warn(line + (result.data?.reason ? ` (${result.data.reason})` : ''));
+    }
+}
+
+/**
+ * Create an upstream client
+ * apiKeys is a list of keys; they are rotated by keyStrategy and quarantined on 401/429
+ */
+function createUpstreamClient({ baseUrl, apiKeys = [], keyStrategy, timeout = 30000, rateLimit = {}, cache = responseCache }) {
+    // Identical concurrent upstream GETs share one fetch
+    const flight = createSingleFlight();
+
+    // Every upstream call takes a token from one shared bucket
+    const limiter = createTokenBucket(rateLimit);
+
+    const keys = createKeyPool(apiKeys, { strategy: keyStrategy });
+
+    /**
+     * Send one request with a specific key
+     */
+    async function sendWithKey(endpoint, options, apiKey) {
+        try {
+            const response = await sendRequest(baseUrl + endpoint, {
+                method: options.method || 'GET',
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: options.body ? JSON.stringify(options.body) : null,
+                timeout: options.timeout || timeout
+            });
+
+            return {
+                success: response.status >= 200 && response.status < 300,
+                status: response.status,
+                retryAfter: response.status === 429 ? parseRetryAfter(response.headers['retry-after']) : null,
+                data: JSON.parse(response.text)
+            };
+        } catch (error) {
+            return error.name === 'AbortError'
+                ? errorResult(500, 'Request timeout', 'Timeout')
+                : errorResult(500, 'Request failed: ' + error.message, 'Connection Error');
+        }
+    }
+
+    /**
+     * Single authenticated request, failing over to another key on 401/429
+     */
+    async function fetchOnce(endpoint, options = {}) {
+        const method = options.method || 'GET';
+        const started = Date.now();
+
+        if (keys.size === 0) {
+            return errorResult(500, 'DONUT_API_KEY is not configured', 'Configuration Error', { retryable: false });
+        }
+
+        // Every key is quarantined - fail fast and say when to come back
+        const wait = keys.waitTime();
+        if (wait > 0) {
+            const result = errorResult(503, 'No usable API key, all keys are rate limited or revoked', 'Rate Limited', {
+                retryAfter: wait
+            });
+            logCall(method, endpoint, result, started);
+            return result;
+        }
+
+        try {
+            await limiter.acquire(options.priority);
+        } catch (error) {
+            const result = errorResult(429, 'Too many requests, please try again shortly', 'Rate Limited', { retryable: false });
+            logCall(method, endpoint, result, started);
+            return result;
+        }
+
+        let result = null;
+        for (let tries = 0; tries < keys.size; tries++) {
+            const keyState = keys.next();
+            if (!keyState) break;
+
+            result = await sendWithKey(endpoint, options, keyState.key);
+            keys.report(keyState, result.status, result.retryAfter);
+
+            if (result.status !== 401 && result.status !== 429) break;
+        }
+
+        // Another request quarantined the last key while we waited for a token
+        if (!result) {
+            result = errorResult(503, 'No usable API key, all keys are rate limited or revoked', 'Rate Limited', {
+                retryAfter: keys.waitTime()
+            });
+        }
+
+        // Every key we tried was rate limited - hold back the other callers too, not just this retry
+        if (result.status === 429) {
+            limiter.pause(result.retryAfter || 1000);
+        }
+
+        logCall(method, endpoint, result, started);
+        return result;
+    }
+
+    /**
+     * Uncached request, retrying transient failures
+     * Pass options.retry = false to disable, or { retries, baseDelay, ... } to override
+     */
+    async function fetchUpstream(endpoint, options = {}) {
+        const policy = resolveRetryPolicy(options.method || 'GET', options.retry);
+        const { retryAfter, ...result } = await withRetry(() => fetchOnce(endpoint, options), policy);
+
+        // Record attempts on the error envelope so callers can see retries happened
+        if (!result.success && result.data && typeof result.data === 'object' && !Array.isArray(result.data)) {
+            result.data = { ...result.data, attempts: result.attempts };
+        }
+
+        return result;
+    }
+
+    /**
+     * Request through the shared cache
+     * Pass options.cache = false to bypass, or { ttl, swr } to override the policy
+     * options.body is sent as JSON (also on GET, for auction search/sort)
+     * Retry, priority and timeout (ms, overrides the client default) options are passed through to fetchUpstream
+     */
+    async function request(endpoint, options = {}) {
+        const method = options.method || 'GET';
+        const policy = options.cache === false
+            ? null
+            : { ...getCachePolicy(endpoint), ...(options.cache || {}) };
+
+        const key = `${method} ${endpoint}` + (options.body ? ' ' + JSON.stringify(options.body) : '');
+
+        // Only idempotent requests are coalesced
+        const load = method === 'GET'
+            ? () => flight.do(key, () => fetchUpstream(endpoint, options))
+            : () => fetchUpstream(endpoint, options);
+
+        const cached = await cache.fetch(
+            key,
+            policy && { ...policy, cacheable: (result) => result.success },
+            load
+        );
+
+        return {
+            ...cached.value,
+            cache: {
+                status: cached.status,
+                age: cached.age,
+                policy: cached.policy
+            }
+        };
+    }
+
+    /**
+     * Client metrics (per serverless instance)
+     */
+    function metrics() {
+        return {
+            keys: { strategy: keys.strategy, pool: keys.health() },
+            coalescing: flight.stats(),
+            rate_limit: limiter.stats(),
+            cache_backend: cache.backend.name
+        };
+    }
+
+    return { request, fetchUpstream, metrics };
+}
+
+module.exports = { sendRequest, createUpstreamClient };
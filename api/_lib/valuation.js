@@ -0,0 +1,92 @@
+// Container valuation - prices the contents of shulker boxes (and other containers) from the price guide
+
+const { getCachePolicy, responseCache } = require('./cache.js');
+const { getLatestScan } = require('./auctionscan.js');
+const { aggregatePrices, variantKey } = require('./pricing.js');
+
+const PRICE_INDEX_CACHE_KEY = 'prices:index';
+
+/**
+ * Per-unit median price by variant key and by item id
+ * A plain variant's key is the item id, so plain items are priced without enchanted listings
+ */
+function buildPriceIndex(items) {
+    const index = {};
+    for (const item of items) {
+        index[item.id] = item.median_price;
+        for (const variant of item.variants || []) {
+            index[variant.key] = variant.median_price;
+        }
+    }
+    return index;
+}
+
+/**
+ * Price index from the latest stored auction scan, or null before the first scan.
+ * Never starts a scan itself - valuation must not make auction pages wait for a crawl.
+ */
+async function getPriceIndex() {
+    // Don't cache the missing index, so the first scan is picked up straight away
+    const policy = { ...getCachePolicy(PRICE_INDEX_CACHE_KEY), cacheable: index => index !== null };
+    const cached = await responseCache.fetch(PRICE_INDEX_CACHE_KEY, policy, async () => {
+        const scan = await getLatestScan();
+        return scan ? buildPriceIndex(aggregatePrices(scan.listings)) : null;
+    });
+    return cached.value;
+}
+
+/**
+ * Estimate the value of a container's contents
+ * Identical stacks are grouped; stacks without a price guide entry are listed as unpriced
+ */
+function valueContents(contents, index) {
+    const stacks = new Map();
+
+    for (const stack of contents) {
+        if (!stack?.id) continue;
+        const key = variantKey(stack);
+        const unitPrice = index[key] ?? index[stack.id] ?? null;
+
+        if (!stacks.has(key)) {
+            stacks.set(key, { key, id: stack.id, count: 0, unit_price: unitPrice, value: null });
+        }
+        stacks.get(key).count += Math.max(1, stack.count || 1);
+    }
+
+    let total = 0;
+    const unpriced = [];
+    for (const stack of stacks.values()) {
+        if (stack.unit_price === null) {
+            unpriced.push(stack.id);
+            continue;
+        }
+        stack.value = Math.round(stack.unit_price * stack.count);
+        total += stack.value;
+    }
+
+    return {
+        contents_value: total,
+        stacks: [...stacks.values()].sort((a, b) => (b.value || 0) - (a.value || 0)),
+        unpriced
+    };
+}
+
+/**
+ * Valuation of one listing's contents against its asking price, or null for listings without contents
+ */
+function valueListing(listing, index) {
+    const contents = listing.item?.contents;
+    if (!Array.isArray(contents) || contents.length === 0 || !index) return null;
+
+    const valuation = valueContents(contents, index);
+    const price = listing.price || 0;
+
+    return {
+        ...valuation,
+        asking_price: price,
+        difference: valuation.contents_value - price,
+        ratio: price > 0 ? Math.round((valuation.contents_value / price) * 100) / 100 : null
+    };
+}
+
+module.exports = { PRICE_INDEX_CACHE_KEY, buildPriceIndex, getPriceIndex, valueContents, valueListing };
@@ -0,0 +1,244 @@
+// Outgoing webhook queue - deliveries are stored and retried with backoff until they succeed or run out of attempts
+//
+// Pending deliveries live in DATA_DIR/webhooks/queue.ndjson, given-up ones in webhooks/failed.ndjson.
+// The queue is drained at the end of each scheduled job and by /api/cron/notifications.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { sendRequest } = require('./upstream.js');
+const { store } = require('./store.js');
+const { RETRYABLE_STATUSES, parseRetryAfter } = require('./retry.js');
+
+const COLLECTION = 'webhooks';
+const QUEUE = 'queue';
+const FAILED = 'failed';
+
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY = 30000;        // ms before the first retry, doubled every attempt
+const MAX_DELAY = 3600000;       // ms, cap for computed backoff
+const DELIVERY_TIMEOUT = 5000;
+const MAX_FAILED = 200;          // given-up deliveries kept for inspection
+const CLAIM_LEASE = 120000;      // ms a run holds the deliveries it is sending before another run may retry them
+
+/**
+ * Webhook URLs must be https on a public hostname (WEBHOOK_ALLOW_INSECURE=1 allows http for local testing)
+ */
+function isAllowedWebhookUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        return false;
+    }
+
+    if (process.env.WEBHOOK_ALLOW_INSECURE === '1') return url.protocol === 'https:' || url.protocol === 'http:';
+
+    const host = url.hostname.toLowerCase();
+    const isIpLiteral = /^[\d.]+$/.test(host) || host.includes(':') || host.startsWith('[');
+    return url.protocol === 'https:' && host !== 'localhost' && !host.endsWith('.localhost') && !host.endsWith('.local') && !isIpLiteral;
+}
+
+// Addresses a webhook may never reach: private, loopback, link-local (cloud metadata),
+// carrier-grade NAT, benchmarking, multicast/reserved and IPv6 unique local
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Is a resolved address on the public internet? IPv4-mapped IPv6 addresses are checked as IPv4
+ */
+function isPublicAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return isPublicAddress(mapped[1]);
+
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * DNS lookup for webhook connections that refuses non-public addresses.
+ * The connection uses the address checked here, so a second resolution can't swap in a private one.
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+        if (blocked || addresses.length === 0) {
+            const refused = new Error(`${hostname} resolves to a non-public address${blocked ? ` (${blocked.address})` : ''}`);
+            refused.code = 'EWEBHOOKADDRESS';
+            return callback(refused);
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Queue a JSON payload for delivery to a webhook URL
+ * source names what queued it (e.g. 'alerts', 'discord') for the queue listing
+ */
+async function enqueueWebhook(url, payload, { source = 'webhook', now = Date.now() } = {}) {
+    const entry = {
+        id: crypto.randomBytes(8).toString('hex'),
+        source,
+        url,
+        payload,
+        attempts: 0,
+        created_at: now,
+        next_attempt_at: now,
+        last_error: null
+    };
+    await store.append(COLLECTION, QUEUE, [entry]);
+    return entry;
+}
+
+/**
+ * POST one delivery. The host is resolved at delivery time and private addresses are refused
+ * (unless WEBHOOK_ALLOW_INSECURE=1).
+ * Returns { ok } or { ok: false, retryable, retryAfter, error }
+ */
+async function deliver(entry) {
+    if (!isAllowedWebhookUrl(entry.url)) {
+        return { ok: false, retryable: false, retryAfter: null, error: 'Webhook URL is not allowed' };
+    }
+
+    let response;
+    try {
+        response = await sendRequest(entry.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'User-Agent': 'DonutTracker-Webhooks' },
+            body: JSON.stringify(entry.payload),
+            timeout: DELIVERY_TIMEOUT,
+            lookup: process.env.WEBHOOK_ALLOW_INSECURE === '1' ? undefined : publicLookup
+        });
+    } catch (error) {
+        return { ok: false, retryable: error.code !== 'EWEBHOOKADDRESS', retryAfter: null, error: error.message };
+    }
+
+    if (response.status >= 200 && response.status < 300) return { ok: true };
+
+    // Discord puts retry_after (seconds) in the body of its 429s
+    let retryAfter = parseRetryAfter(response.headers['retry-after']);
+    if (response.status === 429 && retryAfter === null) {
+        try {
+            const seconds = Number(JSON.parse(response.text).retry_after);
+            if (Number.isFinite(seconds)) retryAfter = Math.ceil(seconds * 1000);
+        } catch (e) {
+            // No usable body, fall back to backoff
+        }
+    }
+
+    return {
+        ok: false,
+        retryable: RETRYABLE_STATUSES.includes(response.status),
+        retryAfter,
+        error: `HTTP ${response.status}`
+    };
+}
+
+/**
+ * Delay before retrying an entry that has failed `attempts` times
+ */
+function backoffDelay(attempts) {
+    return Math.min(MAX_DELAY, BASE_DELAY * 2 ** (attempts - 1));
+}
+
+/**
+ * Attempt every due delivery (oldest first, up to `limit`)
+ * Due entries are claimed first (next_attempt_at pushed back by CLAIM_LEASE) so an overlapping run skips them.
+ * Failures are rescheduled with backoff; non-retryable ones and those out of attempts move to the failed list.
+ */
+async function processWebhookQueue({ now = Date.now(), limit = 50 } = {}) {
+    const summary = { sent: 0, retrying: 0, failed: 0, pending: 0 };
+    const queue = await store.read(COLLECTION, QUEUE);
+    const due = queue.filter(entry => entry.next_attempt_at <= now).slice(0, limit);
+    if (due.length === 0) {
+        summary.pending = queue.length;
+        return summary;
+    }
+
+    // A run that dies mid-way leaves its claims to expire, and they are sent again after the lease
+    const claimed = new Set(due.map(entry => entry.id));
+    await store.write(COLLECTION, QUEUE, queue.map(entry =>
+        claimed.has(entry.id) ? { ...entry, next_attempt_at: now + CLAIM_LEASE } : entry
+    ));
+
+    const finished = new Set();
+    const updated = new Map();
+    const failed = [];
+
+    for (const entry of due) {
+        const result = await deliver(entry);
+        const attempts = entry.attempts + 1;
+
+        if (result.ok) {
+            finished.add(entry.id);
+            summary.sent++;
+        } else if (result.retryable && attempts < MAX_ATTEMPTS) {
+            updated.set(entry.id, {
+                ...entry,
+                attempts,
+                next_attempt_at: now + (result.retryAfter ?? backoffDelay(attempts)),
+                last_error: result.error
+            });
+            summary.retrying++;
+        } else {
+            finished.add(entry.id);
+            failed.push({ ...entry, attempts, failed_at: now, last_error: result.error });
+            summary.failed++;
+        }
+    }
+
+    // Re-read so deliveries queued while this run was sending are kept
+    const remaining = (await store.read(COLLECTION, QUEUE))
+        .filter(entry => !finished.has(entry.id))
+        .map(entry => updated.get(entry.id) || entry);
+    await store.write(COLLECTION, QUEUE, remaining);
+
+    if (failed.length > 0) {
+        const history = [...await store.read(COLLECTION, FAILED), ...failed];
+        await store.write(COLLECTION, FAILED, history.slice(-MAX_FAILED));
+    }
+
+    summary.pending = remaining.length;
+    return summary;
+}
+
+/**
+ * Webhook URL with its last path segment hidden (Discord webhook URLs end in their secret token)
+ */
+function maskUrl(value) {
+    return value.replace(/\/[^/?#]+(?=[?#]|$)/, '/…').replace(/[?#].*$/, '');
+}
+
+/**
+ * Pending and given-up deliveries, without payloads
+ */
+async function getWebhookQueue() {
+    const describe = ({ payload, url, ...entry }) => ({ ...entry, url: maskUrl(url) });
+    return {
+        pending: (await store.read(COLLECTION, QUEUE)).map(describe),
+        failed: (await store.read(COLLECTION, FAILED)).map(describe).reverse()
+    };
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    isAllowedWebhookUrl,
+    isPublicAddress,
+    publicLookup,
+    enqueueWebhook,
+    processWebhookQueue,
+    getWebhookQueue
+};
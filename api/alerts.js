@@ -0,0 +1,80 @@
+const { sendResponse, handleCors } = require('./config.js');
+const {
+    ownerFromRequest,
+    validateSearch,
+    publicSearch,
+    listSearches,
+    createSearch,
+    deleteSearch,
+    getMatches
+} = require('./_lib/alerts.js');
+
+/**
+ * Saved Auction Searches Endpoint - searches checked against every auction scan
+ * Requests carry the browser's owner token: Authorization: Bearer <token>
+ * GET /api/alerts?since=TIMESTAMP - saved searches and matches newer than since
+ * POST /api/alerts - create a search { name, item, max_price, enchants, seller_include, seller_exclude, webhook_url }
+ * DELETE /api/alerts?id=ID - delete a search
+ */
+module.exports = async (req, res) => {
+    // Handle CORS preflight
+    if (handleCors(req, res)) return;
+
+    if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+        return sendResponse(res, {
+            message: 'Method not allowed',
+            reason: 'Invalid Request',
+            status: 405
+        }, 405);
+    }
+
+    const owner = ownerFromRequest(req);
+    if (!owner) {
+        return sendResponse(res, {
+            message: 'Owner token required',
+            reason: 'Unauthorized',
+            status: 401
+        }, 401);
+    }
+
+    const noStore = { 'Cache-Control': 'no-store' };
+
+    try {
+        if (req.method === 'POST') {
+            const body = typeof req.body === 'object' && req.body !== null ? req.body : {};
+            const { search: fields, error } = validateSearch(body);
+            if (error) {
+                return sendResponse(res, { message: error, reason: 'Invalid Parameter', status: 400 }, 400);
+            }
+
+            const created = await createSearch(owner, fields);
+            if (created.error) {
+                return sendResponse(res, { message: created.error, reason: 'Limit Reached', status: 409 }, 409);
+            }
+
+            return sendResponse(res, { status: 201, result: publicSearch(created.search) }, 201, noStore);
+        }
+
+        if (req.method === 'DELETE') {
+            const id = String(req.query.id || '');
+            if (!(await deleteSearch(owner, id))) {
+                return sendResponse(res, { message: 'Saved search not found', reason: 'Not Found', status: 404 }, 404);
+            }
+            return sendResponse(res, { status: 200, result: { id, deleted: true } }, 200, noStore);
+        }
+
+        const since = Math.max(0, parseInt(req.query.since) || 0);
+        const [searches, matches] = await Promise.all([listSearches(owner), getMatches(owner, since)]);
+
+        return sendResponse(res, {
+            status: 200,
+            result: {
+                searches: searches.map(publicSearch),
+                matches
+            },
+            meta: { now: Date.now() }
+        }, 200, noStore);
+    } catch (error) {
+        return sendResponse(res, { message: 'Failed to access saved searches', error: error.message }, 500);
+    }
+};
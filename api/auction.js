@@ -1,4 +1,5 @@
-const { makeApiRequest, sanitizeInput, validatePage, sendResponse, handleCors } = require('./config.js');
+const { makeApiRequest, sanitizeInput, validatePage, sendResponse, forwardResponse, handleCors } = require('./config.js');
+const { getPriceIndex, valueListing } = require('./_lib/valuation.js');
 
 /**
  * Auction House Endpoint
@@ -42,38 +43,29 @@ module.exports = async (req, res) => {
         }
     }
 
-    // Make API request
-    const url = `/auction/list/${page}`;
-    
-    try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000);
-        
-        const fetchOptions = {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${process.env.DONUT_API_KEY || 'bbcc8b4cc6654f35bd0fc3a1878658cc'}`,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            signal: controller.signal
-        };
+    // Make API request (search/sort are sent as the request body)
+    const result = await makeApiRequest(`/auction/list/${page}`, { body });
 
-        // Add body for search/sort
-        if (body) {
-            fetchOptions.body = JSON.stringify(body);
+    // Value container contents (shulker boxes) against the asking price
+    if (result.success && Array.isArray(result.data?.result) && result.data.result.some(l => l.item?.contents?.length)) {
+        let index = null;
+        try {
+            index = await getPriceIndex();
+        } catch (error) {
+            console.error('Failed to load price index:', error.message);
         }
 
-        const response = await fetch(`https://api.donutsmp.net/v1${url}`, fetchOptions);
-        clearTimeout(timeoutId);
-        
-        const data = await response.json();
-        return sendResponse(res, data, response.status);
-    } catch (error) {
-        return sendResponse(res, {
-            message: 'Request failed: ' + error.message,
-            reason: 'Connection Error',
-            status: 500
-        }, 500);
+        if (index) {
+            result.data = {
+                ...result.data,
+                result: result.data.result.map(listing => {
+                    const valuation = valueListing(listing, index);
+                    return valuation ? { ...listing, valuation } : listing;
+                })
+            };
+        }
     }
+
+    // Forward the response
+    return forwardResponse(res, result);
 };
@@ -0,0 +1,78 @@
+const { sanitizeInput, validatePage, sendResponse, handleCors } = require('../config.js');
+const { cacheHeaders } = require('../_lib/cache.js');
+const { CONFIDENCE_RANK, filterDeals, getDeals } = require('../_lib/deals.js');
+
+const DEALS_PER_PAGE = 30;
+
+/**
+ * Auction Deals Endpoint - live listings below the price guide median, best discount first
+ * GET /api/auction/deals?page=PAGE&search=QUERY&min_confidence=low|medium|high&min_profit=N&min_discount=PCT
+ * Deals come from the latest stored scan; meta.stale is true when it is missing (meta.scan null) or overdue
+ */
+module.exports = async (req, res) => {
+    // Handle CORS preflight
+    if (handleCors(req, res)) return;
+
+    // Validate request method
+    if (req.method !== 'GET') {
+        return sendResponse(res, {
+            message: 'Method not allowed',
+            reason: 'Invalid Request',
+            status: 405
+        }, 405);
+    }
+
+    const page = validatePage(req.query.page, 1, 0);
+    const search = req.query.search ? sanitizeInput(req.query.search).toLowerCase() : '';
+    const minConfidence = req.query.min_confidence ? sanitizeInput(req.query.min_confidence).toLowerCase() : 'medium';
+    const minProfit = Math.max(0, parseFloat(req.query.min_profit) || 0);
+    const minDiscount = Math.min(100, Math.max(0, parseFloat(req.query.min_discount) || 0));
+
+    if (!Object.hasOwn(CONFIDENCE_RANK, minConfidence)) {
+        return sendResponse(res, {
+            message: 'Invalid min_confidence. Valid options: ' + Object.keys(CONFIDENCE_RANK).join(', '),
+            reason: 'Invalid Parameter',
+            status: 400
+        }, 400);
+    }
+
+    let cached;
+    try {
+        cached = await getDeals();
+    } catch (error) {
+        return sendResponse(res, { message: 'Failed to find deals', error: error.message }, 500);
+    }
+
+    let deals = filterDeals(cached.value.deals, { minConfidence, minProfit, minDiscount });
+    if (search) {
+        deals = deals.filter(deal =>
+            deal.key.toLowerCase().includes(search) ||
+            (deal.listing.item.display_name || '').toLowerCase().includes(search)
+        );
+    }
+
+    // Paginate
+    const totalItems = deals.length;
+    const totalPages = Math.max(1, Math.ceil(totalItems / DEALS_PER_PAGE));
+    const offset = (page - 1) * DEALS_PER_PAGE;
+
+    return sendResponse(res, {
+        status: 200,
+        result: deals.slice(offset, offset + DEALS_PER_PAGE),
+        pagination: {
+            page,
+            per_page: DEALS_PER_PAGE,
+            total_items: totalItems,
+            total_pages: totalPages
+        },
+        meta: {
+            filters: { min_confidence: minConfidence, min_profit: minProfit, min_discount: minDiscount },
+            scan: cached.value.scan && {
+                scanned_at: cached.value.scan.scanned_at,
+                listings: cached.value.scan.listings,
+                complete: cached.value.scan.complete
+            },
+            stale: cached.value.stale
+        }
+    }, 200, cacheHeaders(cached.status, cached.age, cached.policy));
+};
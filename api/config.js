@@ -1,70 +1,64 @@
 // DonutSMP API Configuration
-// Set DONUT_API_KEY in Vercel Environment Variables
+// Set DONUT_API_KEY in Vercel Environment Variables (comma-separate several keys for a pool)
 
-const API_BASE = 'https://api.donutsmp.net/v1';
-const API_KEY = process.env.DONUT_API_KEY;
+const crypto = require('crypto');
+const { cacheHeaders } = require('./_lib/cache.js');
+const { createUpstreamClient } = require('./_lib/upstream.js');
+const { parseKeys } = require('./_lib/keypool.js');
 
-const REQUEST_TIMEOUT = 30000; // 30 seconds in ms
+// DONUT_API_BASE points the site at another upstream (e.g. dev/mock-upstream.js)
+const API_BASE = (process.env.DONUT_API_BASE || 'https://api.donutsmp.net/v1').replace(/\/+$/, '');
+const MOJANG_API_BASE = (process.env.MOJANG_API_BASE || 'https://api.mojang.com').replace(/\/+$/, '');
+// Other public services the site reads, overridable the same way (dev/server.js --offline points them at the mock)
+const MOJANG_SESSION_BASE = (process.env.MOJANG_SESSION_BASE || 'https://sessionserver.mojang.com').replace(/\/+$/, '');
+const CRAFATAR_BASE = (process.env.CRAFATAR_BASE || 'https://crafatar.com').replace(/\/+$/, '');
+const MINOTAR_BASE = (process.env.MINOTAR_BASE || 'https://minotar.net').replace(/\/+$/, '');
+const MCSRVSTAT_API_BASE = (process.env.MCSRVSTAT_API_BASE || 'https://api.mcsrvstat.us').replace(/\/+$/, '');
+const DISCORD_API_BASE = (process.env.DISCORD_API_BASE || 'https://discord.com/api').replace(/\/+$/, '');
+const API_KEYS = parseKeys(process.env.DONUT_API_KEY);
+const API_KEY = API_KEYS[0];
+
+// Leaderboard types supported by the DonutSMP API
+const LEADERBOARD_TYPES = [
+    'money', 'kills', 'deaths', 'playtime', 'shards',
+    'brokenblocks', 'placedblocks', 'mobskilled', 'sell', 'shop'
+];
+
+const REQUEST_TIMEOUT = parseInt(process.env.UPSTREAM_TIMEOUT) || 30000; // 30 seconds in ms
+
+// Shared upstream client used by every route
+const upstream = createUpstreamClient({
+    baseUrl: API_BASE,
+    apiKeys: API_KEYS,
+    keyStrategy: process.env.API_KEY_STRATEGY,
+    timeout: REQUEST_TIMEOUT,
+    rateLimit: {
+        // Budget is per key, so a larger pool allows more traffic
+        ratePerMinute: (parseInt(process.env.UPSTREAM_RATE_PER_MINUTE) || 240) * Math.max(1, API_KEYS.length),
+        burst: parseInt(process.env.UPSTREAM_BURST) || 10
+    }
+});
+
+/**
+ * Make authenticated API request to DonutSMP (uncached), retrying transient failures
+ */
+async function fetchUpstream(endpoint, options = {}) {
+    return upstream.fetchUpstream(endpoint, options);
+}
 
 /**
- * Make authenticated API request to DonutSMP
+ * Make authenticated API request to DonutSMP through the shared cache
+ * Options: body, cache, retry, priority ('interactive' | 'default' | 'background')
  */
 async function makeApiRequest(endpoint, options = {}) {
-    const url = API_BASE + endpoint;
-    
-    const fetchOptions = {
-        method: options.method || 'GET',
-        headers: {
-            'Authorization': `Bearer ${API_KEY}`,
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-        }
-    };
-
-    if (options.body) {
-        fetchOptions.body = JSON.stringify(options.body);
-    }
+    return upstream.request(endpoint, options);
+}
 
-    try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
-        
-        const response = await fetch(url, {
-            ...fetchOptions,
-            signal: controller.signal
-        });
-        
-        clearTimeout(timeoutId);
-        
-        const data = await response.json();
-        
-        return {
-            success: response.ok,
-            status: response.status,
-            data
-        };
-    } catch (error) {
-        if (error.name === 'AbortError') {
-            return {
-                success: false,
-                status: 500,
-                data: {
-                    message: 'Request timeout',
-                    reason: 'Timeout',
-                    status: 500
-                }
-            };
-        }
-        return {
-            success: false,
-            status: 500,
-            data: {
-                message: 'Request failed: ' + error.message,
-                reason: 'Connection Error',
-                status: 500
-            }
-        };
-    }
+/**
+ * Upstream client metrics (per serverless instance)
+ */
+function getUpstreamMetrics() {
+    return upstream.metrics();
 }
 
 /**
@@ -95,21 +89,61 @@ function validatePage(page, min = 1, max = 0) {
 /**
  * Send JSON response with CORS headers
  */
-function sendResponse(res, data, statusCode = 200) {
+function sendResponse(res, data, statusCode = 200, headers = {}) {
+    for (const [name, value] of Object.entries(headers)) {
+        res.setHeader(name, value);
+    }
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     res.setHeader('Content-Type', 'application/json');
     res.status(statusCode).json(data);
 }
 
+/**
+ * Forward a makeApiRequest result, including cache status headers
+ */
+function forwardResponse(res, result) {
+    const headers = result.cache
+        ? cacheHeaders(result.cache.status, result.cache.age, result.success ? result.cache.policy : null)
+        : {};
+    return sendResponse(res, result.data, result.status, headers);
+}
+
+/**
+ * Compare the request's bearer token against an expected secret in constant time
+ */
+function hasBearerToken(req, secret) {
+    if (!secret) return false;
+
+    const header = String(req.headers?.authorization || '');
+    const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(secret);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Check the admin bearer token (ADMIN_TOKEN). Admin routes are disabled when it is unset.
+ */
+function isAdminRequest(req) {
+    return hasBearerToken(req, process.env.ADMIN_TOKEN);
+}
+
+/**
+ * Check a scheduled job request: Vercel Cron sends Authorization: Bearer CRON_SECRET.
+ * The admin token is accepted too so jobs can be triggered by hand.
+ */
+function isCronRequest(req) {
+    return hasBearerToken(req, process.env.CRON_SECRET) || isAdminRequest(req);
+}
+
 /**
  * Handle CORS preflight
  */
 function handleCors(req, res) {
     if (req.method === 'OPTIONS') {
         res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
         res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
         res.status(200).end();
         return true;
@@ -119,12 +153,25 @@ function handleCors(req, res) {
 
 module.exports = {
     API_BASE,
+    MOJANG_API_BASE,
+    MOJANG_SESSION_BASE,
+    CRAFATAR_BASE,
+    MINOTAR_BASE,
+    MCSRVSTAT_API_BASE,
+    DISCORD_API_BASE,
+    LEADERBOARD_TYPES,
     API_KEY,
+    API_KEYS,
     REQUEST_TIMEOUT,
+    fetchUpstream,
     makeApiRequest,
+    getUpstreamMetrics,
     sanitizeInput,
     isValidUsername,
     validatePage,
     sendResponse,
+    forwardResponse,
+    isAdminRequest,
+    isCronRequest,
     handleCors
 };
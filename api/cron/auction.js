@@ -0,0 +1,51 @@
+const { isCronRequest, sendResponse } = require('../config.js');
+const { runAuctionScan, scanMeta } = require('../_lib/auctionscan.js');
+const { aggregatePrices } = require('../_lib/pricing.js');
+const { evaluateSearches } = require('../_lib/alerts.js');
+const { notifyListings, notifyPrices } = require('../_lib/discord.js');
+
+/**
+ * Scheduled Auction Scan - crawls every auction page for the price guide, then checks saved searches
+ * and Discord rules (their webhooks are queued for /api/cron/notifications)
+ * GET /api/cron/auction (Authorization: Bearer CRON_SECRET, sent by Vercel Cron)
+ */
+module.exports = async (req, res) => {
+    // Validate request method
+    if (req.method !== 'GET') {
+        return sendResponse(res, {
+            message: 'Method not allowed',
+            reason: 'Invalid Request',
+            status: 405
+        }, 405);
+    }
+
+    if (!isCronRequest(req)) {
+        return sendResponse(res, {
+            message: 'Cron secret required',
+            reason: 'Unauthorized',
+            status: 401
+        }, 401);
+    }
+
+    const scan = await runAuctionScan();
+
+    const result = scanMeta(scan);
+
+    // A failed notification step must not fail the scan
+    try {
+        result.alerts = await evaluateSearches(scan.listings);
+        result.discord = {
+            listings: await notifyListings(scan.listings),
+            // Price moves are measured between complete scans only
+            prices: scan.complete ? await notifyPrices(aggregatePrices(scan.listings)) : null
+        };
+    } catch (error) {
+        console.error('Failed to send notifications:', error.message);
+        result.notifications_error = error.message;
+    }
+
+    return sendResponse(res, {
+        status: 200,
+        result
+    }, 200, { 'Cache-Control': 'no-store' });
+};
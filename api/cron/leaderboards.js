@@ -0,0 +1,40 @@
+const { isCronRequest, sendResponse } = require('../config.js');
+const { snapshotLeaderboards } = require('../_lib/leaderboards.js');
+const { notifyRanks } = require('../_lib/discord.js');
+
+/**
+ * Scheduled Leaderboard Snapshot - stores the top pages of every leaderboard type and queues rank rule posts for Discord
+ * GET /api/cron/leaderboards (Authorization: Bearer CRON_SECRET, sent by Vercel Cron)
+ */
+module.exports = async (req, res) => {
+    // Validate request method
+    if (req.method !== 'GET') {
+        return sendResponse(res, {
+            message: 'Method not allowed',
+            reason: 'Invalid Request',
+            status: 405
+        }, 405);
+    }
+
+    if (!isCronRequest(req)) {
+        return sendResponse(res, {
+            message: 'Cron secret required',
+            reason: 'Unauthorized',
+            status: 401
+        }, 401);
+    }
+
+    const result = await snapshotLeaderboards();
+
+    try {
+        result.discord = await notifyRanks(result.time);
+    } catch (error) {
+        console.error('Failed to send notifications:', error.message);
+        result.notifications_error = error.message;
+    }
+
+    return sendResponse(res, {
+        status: 200,
+        result
+    }, 200, { 'Cache-Control': 'no-store' });
+};
@@ -0,0 +1,33 @@
+const { isCronRequest, sendResponse } = require('../config.js');
+const { processWebhookQueue } = require('../_lib/webhooks.js');
+
+/**
+ * Scheduled Webhook Delivery - sends queued webhook deliveries (saved search alerts, Discord notifications).
+ * The only job that drains the queue, so schedules firing together can't post a delivery twice.
+ * GET /api/cron/notifications (Authorization: Bearer CRON_SECRET, sent by Vercel Cron)
+ */
+module.exports = async (req, res) => {
+    // Validate request method
+    if (req.method !== 'GET') {
+        return sendResponse(res, {
+            message: 'Method not allowed',
+            reason: 'Invalid Request',
+            status: 405
+        }, 405);
+    }
+
+    if (!isCronRequest(req)) {
+        return sendResponse(res, {
+            message: 'Cron secret required',
+            reason: 'Unauthorized',
+            status: 401
+        }, 401);
+    }
+
+    const result = await processWebhookQueue();
+
+    return sendResponse(res, {
+        status: 200,
+        result
+    }, 200, { 'Cache-Control': 'no-store' });
+};
@@ -0,0 +1,32 @@
+const { isCronRequest, sendResponse } = require('../config.js');
+const { buildRankIndex } = require('../_lib/rankindex.js');
+
+/**
+ * Scheduled Rank Index - walks the leaderboards that are due so /api/rank can place any player
+ * GET /api/cron/ranks (Authorization: Bearer CRON_SECRET, sent by Vercel Cron)
+ */
+module.exports = async (req, res) => {
+    // Validate request method
+    if (req.method !== 'GET') {
+        return sendResponse(res, {
+            message: 'Method not allowed',
+            reason: 'Invalid Request',
+            status: 405
+        }, 405);
+    }
+
+    if (!isCronRequest(req)) {
+        return sendResponse(res, {
+            message: 'Cron secret required',
+            reason: 'Unauthorized',
+            status: 401
+        }, 401);
+    }
+
+    const result = await buildRankIndex();
+
+    return sendResponse(res, {
+        status: 200,
+        result
+    }, 200, { 'Cache-Control': 'no-store' });
+};
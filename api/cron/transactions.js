@@ -0,0 +1,32 @@
+const { isCronRequest, sendResponse } = require('../config.js');
+const { ingestTransactions } = require('../_lib/transactionarchive.js');
+
+/**
+ * Scheduled Transaction Archive - stores new auction sales before they leave the live window
+ * GET /api/cron/transactions (Authorization: Bearer CRON_SECRET, sent by Vercel Cron)
+ */
+module.exports = async (req, res) => {
+    // Validate request method
+    if (req.method !== 'GET') {
+        return sendResponse(res, {
+            message: 'Method not allowed',
+            reason: 'Invalid Request',
+            status: 405
+        }, 405);
+    }
+
+    if (!isCronRequest(req)) {
+        return sendResponse(res, {
+            message: 'Cron secret required',
+            reason: 'Unauthorized',
+            status: 401
+        }, 401);
+    }
+
+    const result = await ingestTransactions();
+
+    return sendResponse(res, {
+        status: 200,
+        result
+    }, 200, { 'Cache-Control': 'no-store' });
+};
@@ -0,0 +1,33 @@
+const { DISCORD_API_BASE, sendResponse, handleCors } = require('./config.js');
+
+const INVITE_CODE = 'donutsmp';
+
+/**
+ * Discord Invite Proxy - member and online counts of the DonutSMP Discord server
+ * GET /api/discord-invite
+ */
+module.exports = async (req, res) => {
+    // Handle CORS preflight
+    if (handleCors(req, res)) return;
+
+    // Validate request method
+    if (req.method !== 'GET') {
+        return sendResponse(res, { error: 'Method not allowed' }, 405);
+    }
+
+    try {
+        const response = await fetch(`${DISCORD_API_BASE}/v9/invites/${INVITE_CODE}?with_counts=true`, {
+            headers: { 'Accept': 'application/json' }
+        });
+
+        if (response.ok) {
+            return sendResponse(res, await response.json(), 200, {
+                'Cache-Control': 'public, s-maxage=300, stale-while-revalidate=600'
+            });
+        }
+
+        return sendResponse(res, { error: 'Failed to fetch Discord invite' }, 502);
+    } catch (error) {
+        return sendResponse(res, { error: 'Failed to fetch Discord invite' }, 500);
+    }
+};
@@ -0,0 +1,68 @@
+const { sendResponse } = require('../config.js');
+const { verifyInteraction, handleInteraction } = require('../_lib/interactions.js');
+
+/**
+ * Read the exact request body - the signature covers the raw bytes, not the parsed JSON.
+ * Body parsing is disabled below so Vercel leaves the stream unread; the dev server passes req.rawBody.
+ * Returns null when the original bytes are no longer available.
+ */
+async function readRawBody(req) {
+    if (req.rawBody !== undefined) return Buffer.from(req.rawBody).toString('utf8');
+    if (typeof req.on === 'function' && req.readable && !req.readableEnded) {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        return Buffer.concat(chunks).toString('utf8');
+    }
+    if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) return Buffer.from(req.body).toString('utf8');
+    return null;
+}
+
+/**
+ * Discord Interactions Endpoint - slash commands (/stats, /price, /lb, /ah)
+ * POST /api/discord/interactions (signed by Discord with DISCORD_PUBLIC_KEY's private key)
+ */
+module.exports = async (req, res) => {
+    // Validate request method
+    if (req.method !== 'POST') {
+        return sendResponse(res, {
+            message: 'Method not allowed',
+            reason: 'Invalid Request',
+            status: 405
+        }, 405);
+    }
+
+    const rawBody = await readRawBody(req);
+    const verified = rawBody !== null && verifyInteraction(
+        process.env.DISCORD_PUBLIC_KEY,
+        req.headers['x-signature-ed25519'],
+        req.headers['x-signature-timestamp'],
+        rawBody
+    );
+
+    // Discord checks that unsigned requests are refused with a 401; a body that was
+    // already parsed can't be checked, so it is refused too
+    if (!verified) {
+        return sendResponse(res, {
+            message: 'Invalid request signature',
+            reason: 'Unauthorized',
+            status: 401
+        }, 401);
+    }
+
+    let interaction;
+    try {
+        interaction = JSON.parse(rawBody);
+    } catch (e) {
+        return sendResponse(res, { message: 'Invalid JSON body', reason: 'Invalid Request', status: 400 }, 400);
+    }
+
+    const reply = await handleInteraction(interaction);
+    if (!reply) {
+        return sendResponse(res, { message: 'Unsupported interaction type', reason: 'Invalid Request', status: 400 }, 400);
+    }
+
+    return sendResponse(res, reply, 200, { 'Cache-Control': 'no-store' });
+};
+
+// Keep the request stream unread so the signature is checked against Discord's exact bytes
+module.exports.config = { api: { bodyParser: false } };
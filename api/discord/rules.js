@@ -0,0 +1,63 @@
+const { isAdminRequest, sendResponse, handleCors } = require('../config.js');
+const { validateRule, publicRule, listRules, createRule, deleteRule } = require('../_lib/discord.js');
+const { getWebhookQueue } = require('../_lib/webhooks.js');
+
+/**
+ * Admin Discord Rules Endpoint - rules that post auction, price and rank events to Discord webhooks
+ * Authorization: Bearer ADMIN_TOKEN
+ * GET /api/discord/rules - rules and the webhook delivery queue
+ * POST /api/discord/rules - create a rule { type: listing|rank|price, webhook_url, ... }
+ * DELETE /api/discord/rules?id=ID - delete a rule
+ */
+module.exports = async (req, res) => {
+    // Handle CORS preflight
+    if (handleCors(req, res)) return;
+
+    if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+        return sendResponse(res, {
+            message: 'Method not allowed',
+            reason: 'Invalid Request',
+            status: 405
+        }, 405);
+    }
+
+    if (!isAdminRequest(req)) {
+        return sendResponse(res, {
+            message: 'Admin token required',
+            reason: 'Unauthorized',
+            status: 401
+        }, 401);
+    }
+
+    const noStore = { 'Cache-Control': 'no-store' };
+
+    try {
+        if (req.method === 'POST') {
+            const body = typeof req.body === 'object' && req.body !== null ? req.body : {};
+            const { rule, error } = validateRule(body);
+            if (error) {
+                return sendResponse(res, { message: error, reason: 'Invalid Parameter', status: 400 }, 400);
+            }
+            return sendResponse(res, { status: 201, result: publicRule(await createRule(rule)) }, 201, noStore);
+        }
+
+        if (req.method === 'DELETE') {
+            const id = String(req.query.id || '');
+            if (!(await deleteRule(id))) {
+                return sendResponse(res, { message: 'Rule not found', reason: 'Not Found', status: 404 }, 404);
+            }
+            return sendResponse(res, { status: 200, result: { id, deleted: true } }, 200, noStore);
+        }
+
+        const [rules, queue] = await Promise.all([listRules(), getWebhookQueue()]);
+        return sendResponse(res, {
+            status: 200,
+            result: {
+                rules: rules.map(publicRule),
+                queue
+            }
+        }, 200, noStore);
+    } catch (error) {
+        return sendResponse(res, { message: 'Failed to access Discord rules', error: error.message }, 500);
+    }
+};
@@ -0,0 +1,39 @@
+const { API_KEYS, getUpstreamMetrics, isAdminRequest, sendResponse, handleCors } = require('./config.js');
+
+/**
+ * Admin Health Endpoint - API key pool state and upstream metrics
+ * GET /api/health (Authorization: Bearer ADMIN_TOKEN)
+ */
+module.exports = async (req, res) => {
+    // Handle CORS preflight
+    if (handleCors(req, res)) return;
+
+    // Validate request method
+    if (req.method !== 'GET') {
+        return sendResponse(res, {
+            message: 'Method not allowed',
+            reason: 'Invalid Request',
+            status: 405
+        }, 405);
+    }
+
+    if (!isAdminRequest(req)) {
+        return sendResponse(res, {
+            message: 'Admin token required',
+            reason: 'Unauthorized',
+            status: 401
+        }, 401);
+    }
+
+    const metrics = getUpstreamMetrics();
+    const healthy = metrics.keys.pool.filter(key => key.state === 'healthy').length;
+
+    return sendResponse(res, {
+        status: 200,
+        result: {
+            keys_configured: API_KEYS.length,
+            keys_healthy: healthy,
+            ...metrics
+        }
+    }, 200, { 'Cache-Control': 'no-store' });
+};
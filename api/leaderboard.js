@@ -1,4 +1,4 @@
-const { makeApiRequest, sanitizeInput, validatePage, sendResponse, handleCors } = require('./config.js');
+const { LEADERBOARD_TYPES, makeApiRequest, sanitizeInput, validatePage, sendResponse, forwardResponse, handleCors } = require('./config.js');
 
 /**
  * Leaderboard Endpoint
@@ -18,10 +18,7 @@ module.exports = async (req, res) => {
     }
 
     // Valid leaderboard types
-    const validTypes = [
-        'money', 'kills', 'deaths', 'playtime', 'shards',
-        'brokenblocks', 'placedblocks', 'mobskilled', 'sell', 'shop'
-    ];
+    const validTypes = LEADERBOARD_TYPES;
 
     // Get and validate type
     const type = req.query.type ? sanitizeInput(req.query.type).toLowerCase() : '';
@@ -49,5 +46,5 @@ module.exports = async (req, res) => {
     const result = await makeApiRequest(`/leaderboards/${type}/${page}`);
 
     // Forward the response
-    return sendResponse(res, result.data, result.status);
+    return forwardResponse(res, result);
 };
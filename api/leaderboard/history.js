@@ -0,0 +1,69 @@
+const { LEADERBOARD_TYPES, sanitizeInput, isValidUsername, sendResponse, handleCors } = require('../config.js');
+const { RANGES, rangeStart } = require('../_lib/store.js');
+const { getPlayerHistory } = require('../_lib/leaderboards.js');
+
+/**
+ * Leaderboard History Endpoint - a player's rank and value over time
+ * GET /api/leaderboard/history?type=TYPE&user=USERNAME&range=24h|7d|30d|all
+ */
+module.exports = async (req, res) => {
+    // Handle CORS preflight
+    if (handleCors(req, res)) return;
+
+    // Validate request method
+    if (req.method !== 'GET') {
+        return sendResponse(res, {
+            message: 'Method not allowed',
+            reason: 'Invalid Request',
+            status: 405
+        }, 405);
+    }
+
+    const type = req.query.type ? sanitizeInput(req.query.type).toLowerCase() : '';
+    const username = req.query.user ? sanitizeInput(req.query.user) : '';
+
+    if (!type || !username) {
+        return sendResponse(res, {
+            message: 'Leaderboard type and user are required',
+            reason: 'Missing Parameter',
+            status: 400
+        }, 400);
+    }
+
+    if (!LEADERBOARD_TYPES.includes(type)) {
+        return sendResponse(res, {
+            message: 'Invalid leaderboard type. Valid types: ' + LEADERBOARD_TYPES.join(', '),
+            reason: 'Invalid Parameter',
+            status: 400
+        }, 400);
+    }
+
+    if (!isValidUsername(username)) {
+        return sendResponse(res, {
+            message: 'Invalid username format',
+            reason: 'Invalid Parameter',
+            status: 400
+        }, 400);
+    }
+
+    const range = Object.hasOwn(RANGES, req.query.range || '') ? req.query.range : '30d';
+    const points = await getPlayerHistory(type, username, rangeStart(range));
+
+    // Change across the range (a positive rank change means the player climbed)
+    const first = points[0];
+    const last = points[points.length - 1];
+    const change = points.length > 1
+        ? { value: last.value - first.value, rank: first.rank - last.rank }
+        : null;
+
+    return sendResponse(res, {
+        status: 200,
+        result: {
+            type,
+            username,
+            range,
+            points,
+            change
+        }
+    }, 200, { 'Cache-Control': 'public, s-maxage=300, stale-while-revalidate=900' });
+};
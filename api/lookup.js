@@ -1,4 +1,4 @@
-const { makeApiRequest, sanitizeInput, isValidUsername, sendResponse, handleCors } = require('./config.js');
+const { makeApiRequest, sanitizeInput, isValidUsername, sendResponse, forwardResponse, handleCors } = require('./config.js');
 
 /**
  * Player Lookup Endpoint
@@ -36,9 +36,12 @@ module.exports = async (req, res) => {
         }, 400);
     }
 
-    // Make API request
-    const result = await makeApiRequest(`/lookup/${user}`);
+    // Make API request (interactive: jumps the outbound queue, retries once and doesn't wait long)
+    const result = await makeApiRequest(`/lookup/${user}`, {
+        priority: 'interactive',
+        retry: { retries: 1, maxRetryAfter: 3000 }
+    });
 
     // Forward the response
-    return sendResponse(res, result.data, result.status);
+    return forwardResponse(res, result);
 };
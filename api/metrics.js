@@ -0,0 +1,27 @@
+const { getUpstreamMetrics, sendResponse, handleCors } = require('./config.js');
+
+/**
+ * Upstream Client Metrics Endpoint
+ * GET /api/metrics
+ */
+module.exports = async (req, res) => {
+    // Handle CORS preflight
+    if (handleCors(req, res)) return;
+
+    // Validate request method
+    if (req.method !== 'GET') {
+        return sendResponse(res, {
+            message: 'Method not allowed',
+            reason: 'Invalid Request',
+            status: 405
+        }, 405);
+    }
+
+    // Key pool state is admin-only (see /api/health)
+    const { keys, ...metrics } = getUpstreamMetrics();
+
+    return sendResponse(res, {
+        status: 200,
+        result: metrics
+    }, 200, { 'Cache-Control': 'no-store' });
+};
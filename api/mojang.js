@@ -1,4 +1,4 @@
-const { sanitizeInput, sendResponse, handleCors } = require('./config.js');
+const { MOJANG_API_BASE, sanitizeInput, sendResponse, handleCors } = require('./config.js');
 
 /**
  * Mojang API Proxy - Get player UUID
@@ -22,7 +22,7 @@ module.exports = async (req, res) => {
 
     try {
         const response = await fetch(
-            `https://api.mojang.com/users/profiles/minecraft/${encodeURIComponent(username)}`,
+            `${MOJANG_API_BASE}/users/profiles/minecraft/${encodeURIComponent(username)}`,
             {
                 headers: { 'Accept': 'application/json' }
             }
@@ -1,13 +1,14 @@
-const { sanitizeInput, validatePage, sendResponse, handleCors, API_KEY } = require('./config.js');
-
-// In-memory cache for Vercel (resets on cold start, but persists across requests)
-let pricesCache = null;
-let cacheTime = 0;
-const CACHE_DURATION = 300000; // 5 minutes in ms
+const { sanitizeInput, validatePage, sendResponse, handleCors } = require('./config.js');
+const { cacheHeaders } = require('./_lib/cache.js');
+const { sortItems } = require('./_lib/pricing.js');
+const { getPriceGuide } = require('./_lib/priceguide.js');
 
 /**
  * Prices Endpoint with Caching
  * GET /api/prices?page=PAGE&search=SEARCH&sort=SORT
+ * SORT is name_asc|name_desc|listings or <price|median|min|max|p10|p25|p75|p90|confidence|sold|sales>_<asc|desc>
+ * Items carry listing statistics and a `sold` block from completed transactions (null until the archive has run)
+ * Prices come from the latest stored auction scan; before the first scan the result is empty and meta.scan is null
  */
 module.exports = async (req, res) => {
     // Handle CORS preflight
@@ -23,93 +24,21 @@ module.exports = async (req, res) => {
     const sort = req.query.sort ? sanitizeInput(req.query.sort).toLowerCase() : 'price_desc';
     const itemsPerPage = 30;
 
-    let items = [];
-    let totalListingsScanned = 0;
-    let uniqueItemsCount = 0;
-
-    // Check cache
-    const now = Date.now();
-    if (pricesCache && (now - cacheTime) < CACHE_DURATION) {
-        items = pricesCache.items;
-        totalListingsScanned = pricesCache.total_listings;
-        uniqueItemsCount = items.length;
-    } else {
-        // Fetch fresh data
-        try {
-            const allItems = [];
-            const pagesToFetch = 25;
-            
-            // Fetch pages in parallel (batches of 5)
-            for (let batch = 0; batch < 5; batch++) {
-                const promises = [];
-                for (let i = 1; i <= 5; i++) {
-                    const pageNum = batch * 5 + i;
-                    if (pageNum <= pagesToFetch) {
-                        promises.push(
-                            fetch(`https://api.donutsmp.net/v1/auction/list/${pageNum}`, {
-                                headers: {
-                                    'Authorization': `Bearer ${API_KEY}`,
-                                    'Content-Type': 'application/json',
-                                    'Accept': 'application/json'
-                                }
-                            }).then(r => r.ok ? r.json() : null).catch(() => null)
-                        );
-                    }
-                }
-                
-                const results = await Promise.all(promises);
-                for (const data of results) {
-                    if (data && data.result && Array.isArray(data.result)) {
-                        allItems.push(...data.result);
-                    }
-                }
-            }
-
-            totalListingsScanned = allItems.length;
-            const priceData = {};
-
-            for (const listing of allItems) {
-                if (!listing.item?.id || !listing.price) continue;
-                
-                const itemId = listing.item.id;
-                const count = Math.max(1, listing.item.count || 1);
-                const pricePerItem = listing.price / count;
-                
-                let itemName = itemId.replace('minecraft:', '').replace(/_/g, ' ');
-                itemName = itemName.split(' ').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
-
-                if (!priceData[itemId]) {
-                    priceData[itemId] = { id: itemId, name: itemName, prices: [], listings: 0 };
-                }
-                priceData[itemId].prices.push(pricePerItem);
-                priceData[itemId].listings++;
-            }
+    let cached;
 
-            items = [];
-            for (const [itemId, data] of Object.entries(priceData)) {
-                if (data.prices.length === 0) continue;
-                const prices = data.prices.sort((a, b) => a - b);
-                items.push({
-                    id: data.id,
-                    name: data.name,
-                    avg_price: Math.round(prices.reduce((a, b) => a + b, 0) / prices.length),
-                    min_price: Math.round(Math.min(...prices)),
-                    max_price: Math.round(Math.max(...prices)),
-                    listings: data.listings,
-                    median_price: Math.round(prices[Math.floor(prices.length / 2)])
-                });
-            }
-
-            uniqueItemsCount = items.length;
-
-            // Update cache
-            pricesCache = { items, total_listings: totalListingsScanned };
-            cacheTime = now;
-        } catch (error) {
-            return sendResponse(res, { message: 'Failed to fetch prices', error: error.message }, 500);
-        }
+    // Serve from the shared cache, rebuilding the aggregate when it expires
+    try {
+        cached = await getPriceGuide();
+    } catch (error) {
+        return sendResponse(res, { message: 'Failed to fetch prices', error: error.message }, 500);
     }
 
+    const items = cached.value.items.slice();
+    const totalListingsScanned = cached.value.total_listings;
+    const uniqueItemsCount = items.length;
+    const scan = cached.value.scan;
+    const sold = cached.value.sold;
+
     // Filter by search
     let filteredItems = items;
     if (search) {
@@ -119,26 +48,8 @@ module.exports = async (req, res) => {
         );
     }
 
-    // Sort
-    switch (sort) {
-        case 'price_asc':
-            filteredItems.sort((a, b) => a.avg_price - b.avg_price);
-            break;
-        case 'price_desc':
-            filteredItems.sort((a, b) => b.avg_price - a.avg_price);
-            break;
-        case 'name_asc':
-            filteredItems.sort((a, b) => a.name.localeCompare(b.name));
-            break;
-        case 'name_desc':
-            filteredItems.sort((a, b) => b.name.localeCompare(a.name));
-            break;
-        case 'listings':
-            filteredItems.sort((a, b) => b.listings - a.listings);
-            break;
-        default:
-            filteredItems.sort((a, b) => b.avg_price - a.avg_price);
-    }
+    // Sort (any robust statistic can be the key, see SORT_KEYS)
+    sortItems(filteredItems, sort);
 
     // Paginate
     const totalItems = filteredItems.length;
@@ -157,7 +68,17 @@ module.exports = async (req, res) => {
         },
         meta: {
             total_listings_scanned: totalListingsScanned,
-            unique_items: uniqueItemsCount
+            unique_items: uniqueItemsCount,
+            scan: scan && {
+                scanned_at: scan.scanned_at,
+                age_seconds: Math.floor((Date.now() - scan.scanned_at) / 1000),
+                pages: scan.pages,
+                complete: scan.complete,
+                stale: scan.stale,
+                failed_pages: scan.failed_pages,
+                stop_reason: scan.stop_reason
+            },
+            sold
         }
-    }, 200);
+    }, 200, cacheHeaders(cached.status, cached.age, cached.policy));
 };
@@ -0,0 +1,67 @@
+const { sendResponse, handleCors } = require('../config.js');
+const { RANGES, rangeStart } = require('../_lib/store.js');
+const { BUCKETS, CANDLES, getPriceHistory, getPriceCandles } = require('../_lib/pricehistory.js');
+
+// Items per request - enough for one page of price cards
+const MAX_ITEMS = 30;
+
+const ITEM_PATTERN = /^(minecraft:)?[a-z0-9_]{1,64}$/i;
+
+/**
+ * Price History Endpoint - shared price series recorded by the price guide
+ * GET /api/prices/history?item=ITEM[,ITEM...]&range=24h|7d|30d|all&format=points|candles
+ *
+ * points:  [{ time, avg, median, min, max, listings }]
+ * candles: [{ time, open, high, low, close, volume }] - median per-unit price, listings as volume
+ */
+module.exports = async (req, res) => {
+    // Handle CORS preflight
+    if (handleCors(req, res)) return;
+
+    // Validate request method
+    if (req.method !== 'GET') {
+        return sendResponse(res, {
+            message: 'Method not allowed',
+            reason: 'Invalid Request',
+            status: 405
+        }, 405);
+    }
+
+    const items = [...new Set(String(req.query.item || '').split(',').map(id => id.trim()).filter(Boolean))];
+
+    if (items.length === 0) {
+        return sendResponse(res, {
+            message: 'Item is required',
+            reason: 'Missing Parameter',
+            status: 400
+        }, 400);
+    }
+
+    if (items.length > MAX_ITEMS || !items.every(id => ITEM_PATTERN.test(id))) {
+        return sendResponse(res, {
+            message: `Invalid item. Pass up to ${MAX_ITEMS} comma-separated item ids`,
+            reason: 'Invalid Parameter',
+            status: 400
+        }, 400);
+    }
+
+    const range = Object.hasOwn(RANGES, req.query.range || '') ? req.query.range : '7d';
+    const format = req.query.format === 'candles' ? 'candles' : 'points';
+    const from = rangeStart(range);
+
+    const series = {};
+    for (const id of items) {
+        series[id] = format === 'candles'
+            ? await getPriceCandles(id, from, CANDLES[range])
+            : await getPriceHistory(id, from, BUCKETS[range]);
+    }
+
+    return sendResponse(res, {
+        status: 200,
+        result: {
+            range,
+            format,
+            items: series
+        }
+    }, 200, { 'Cache-Control': 'public, s-maxage=300, stale-while-revalidate=900' });
+};
@@ -0,0 +1,60 @@
+const { LEADERBOARD_TYPES, sanitizeInput, isValidUsername, sendResponse, handleCors } = require('./config.js');
+const { getPlayerRanks } = require('./_lib/rankindex.js');
+
+/**
+ * Rank Endpoint - a player's exact position on every leaderboard, from the rank index
+ * GET /api/rank?user=USERNAME&type=TYPE (type is optional; all types by default)
+ */
+module.exports = async (req, res) => {
+    // Handle CORS preflight
+    if (handleCors(req, res)) return;
+
+    // Validate request method
+    if (req.method !== 'GET') {
+        return sendResponse(res, {
+            message: 'Method not allowed',
+            reason: 'Invalid Request',
+            status: 405
+        }, 405);
+    }
+
+    const username = sanitizeInput(req.query.user || '');
+    if (!username) {
+        return sendResponse(res, {
+            message: 'Username is required',
+            reason: 'Missing Parameter',
+            status: 400
+        }, 400);
+    }
+    if (!isValidUsername(username)) {
+        return sendResponse(res, {
+            message: 'Invalid username',
+            reason: 'Invalid Parameter',
+            status: 400
+        }, 400);
+    }
+
+    const type = req.query.type ? sanitizeInput(req.query.type).toLowerCase() : '';
+    if (type && !LEADERBOARD_TYPES.includes(type)) {
+        return sendResponse(res, {
+            message: 'Invalid leaderboard type. Valid types: ' + LEADERBOARD_TYPES.join(', '),
+            reason: 'Invalid Parameter',
+            status: 400
+        }, 400);
+    }
+
+    let ranks;
+    try {
+        ranks = await getPlayerRanks(username, type ? [type] : LEADERBOARD_TYPES);
+    } catch (error) {
+        return sendResponse(res, { message: 'Failed to read the rank index', error: error.message }, 500);
+    }
+
+    return sendResponse(res, {
+        status: 200,
+        result: {
+            username,
+            ranks
+        }
+    }, 200, { 'Cache-Control': 'public, s-maxage=300, stale-while-revalidate=600' });
+};
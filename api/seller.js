@@ -0,0 +1,41 @@
+const { sanitizeInput, isValidUsername, sendResponse, handleCors } = require('./config.js');
+const { getSellerProfile } = require('./_lib/sellers.js');
+
+/**
+ * Seller Profile Endpoint - active auctions, sales, favorite items and pricing against the market
+ * GET /api/seller?user=USERNAME
+ */
+module.exports = async (req, res) => {
+    // Handle CORS preflight
+    if (handleCors(req, res)) return;
+
+    // Validate request method
+    if (req.method !== 'GET') {
+        return sendResponse(res, {
+            message: 'Method not allowed',
+            reason: 'Invalid Request',
+            status: 405
+        }, 405);
+    }
+
+    const username = sanitizeInput(req.query.user || '');
+    if (!username || !isValidUsername(username)) {
+        return sendResponse(res, {
+            message: 'A valid username is required',
+            reason: 'Invalid Parameter',
+            status: 400
+        }, 400);
+    }
+
+    let profile;
+    try {
+        profile = await getSellerProfile(username);
+    } catch (error) {
+        return sendResponse(res, { message: 'Failed to load seller profile', error: error.message }, 500);
+    }
+
+    return sendResponse(res, {
+        status: 200,
+        result: profile
+    }, 200, { 'Cache-Control': 'public, s-maxage=60, stale-while-revalidate=120' });
+};
@@ -0,0 +1,33 @@
+const { MCSRVSTAT_API_BASE, sendResponse, handleCors } = require('./config.js');
+
+const SERVER_ADDRESS = 'donutsmp.net';
+
+/**
+ * Minecraft Server Status Proxy - mcsrvstat.us status of the DonutSMP server
+ * GET /api/server-status
+ */
+module.exports = async (req, res) => {
+    // Handle CORS preflight
+    if (handleCors(req, res)) return;
+
+    // Validate request method
+    if (req.method !== 'GET') {
+        return sendResponse(res, { error: 'Method not allowed' }, 405);
+    }
+
+    try {
+        const response = await fetch(`${MCSRVSTAT_API_BASE}/2/${SERVER_ADDRESS}`, {
+            headers: { 'Accept': 'application/json' }
+        });
+
+        if (response.ok) {
+            return sendResponse(res, await response.json(), 200, {
+                'Cache-Control': 'public, s-maxage=60, stale-while-revalidate=300'
+            });
+        }
+
+        return sendResponse(res, { error: 'Failed to fetch server status' }, 502);
+    } catch (error) {
+        return sendResponse(res, { error: 'Failed to fetch server status' }, 500);
+    }
+};
@@ -1,4 +1,4 @@
-const { sanitizeInput, handleCors } = require('./config.js');
+const { MOJANG_API_BASE, MOJANG_SESSION_BASE, CRAFATAR_BASE, MINOTAR_BASE, sanitizeInput, handleCors } = require('./config.js');
 
 /**
  * Skin Proxy - Fetches Minecraft skins
@@ -27,7 +27,7 @@ module.exports = async (req, res) => {
     try {
         // Get UUID from Mojang
         const uuidResponse = await fetch(
-            `https://api.mojang.com/users/profiles/minecraft/${encodeURIComponent(username)}`
+            `${MOJANG_API_BASE}/users/profiles/minecraft/${encodeURIComponent(username)}`
         );
         
         if (uuidResponse.ok) {
@@ -44,7 +44,7 @@ module.exports = async (req, res) => {
         try {
             // Get profile with skin data
             const profileResponse = await fetch(
-                `https://sessionserver.mojang.com/session/minecraft/profile/${uuid}`
+                `${MOJANG_SESSION_BASE}/session/minecraft/profile/${uuid}`
             );
             
             if (profileResponse.ok) {
@@ -74,8 +74,8 @@ module.exports = async (req, res) => {
     // Fallback URLs
     if (!skinData) {
         const fallbackUrls = [
-            uuid ? `https://crafatar.com/skins/${uuid}` : null,
-            `https://minotar.net/skin/${username}`
+            uuid ? `${CRAFATAR_BASE}/skins/${uuid}` : null,
+            `${MINOTAR_BASE}/skin/${username}`
         ].filter(Boolean);
 
         for (const url of fallbackUrls) {
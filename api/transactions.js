@@ -1,4 +1,4 @@
-const { makeApiRequest, validatePage, sendResponse, handleCors } = require('./config.js');
+const { makeApiRequest, validatePage, sendResponse, forwardResponse, handleCors } = require('./config.js');
 
 /**
  * Auction Transactions Endpoint
@@ -24,5 +24,5 @@ module.exports = async (req, res) => {
     const result = await makeApiRequest(`/auction/transactions/${page}`);
 
     // Forward the response
-    return sendResponse(res, result.data, result.status);
+    return forwardResponse(res, result);
 };
@@ -0,0 +1,96 @@
+const { sanitizeInput, isValidUsername, sendResponse, handleCors } = require('../config.js');
+const { DEFAULT_LIMIT, MAX_LIMIT, decodeCursor, getArchiveStats, queryArchive } = require('../_lib/transactionarchive.js');
+
+/**
+ * Parse an optional non-negative number parameter; undefined when absent, NaN when invalid
+ */
+function optionalNumber(value) {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : NaN;
+}
+
+/**
+ * Transaction Archive Endpoint - every sale collected by the transaction cron, newest first
+ * GET /api/transactions/archive?item=ITEM&seller=NAME&min_price=N&max_price=N&from=MS&to=MS&limit=N&cursor=CURSOR
+ */
+module.exports = async (req, res) => {
+    // Handle CORS preflight
+    if (handleCors(req, res)) return;
+
+    // Validate request method
+    if (req.method !== 'GET') {
+        return sendResponse(res, {
+            message: 'Method not allowed',
+            reason: 'Invalid Request',
+            status: 405
+        }, 405);
+    }
+
+    const invalid = (message) => sendResponse(res, { message, reason: 'Invalid Parameter', status: 400 }, 400);
+
+    const rawItem = req.query.item ? sanitizeInput(req.query.item).toLowerCase() : '';
+    if (rawItem && !/^(minecraft:)?[a-z0-9_]{1,64}$/.test(rawItem)) return invalid('Invalid item id');
+    const item = rawItem ? (rawItem.includes(':') ? rawItem : `minecraft:${rawItem}`) : null;
+
+    const seller = req.query.seller ? sanitizeInput(req.query.seller) : '';
+    if (seller && !isValidUsername(seller)) return invalid('Invalid seller username');
+
+    const minPrice = optionalNumber(req.query.min_price);
+    const maxPrice = optionalNumber(req.query.max_price);
+    const from = optionalNumber(req.query.from);
+    const to = optionalNumber(req.query.to);
+    if ([minPrice, maxPrice, from, to].some(Number.isNaN)) {
+        return invalid('min_price, max_price, from and to must be non-negative numbers (from/to in unix milliseconds)');
+    }
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) return invalid('min_price is above max_price');
+    if (from !== undefined && to !== undefined && from > to) return invalid('from is after to');
+
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit) || DEFAULT_LIMIT));
+
+    let after = null;
+    if (req.query.cursor) {
+        after = decodeCursor(req.query.cursor);
+        if (!after) return invalid('Invalid cursor');
+    }
+
+    let page;
+    let archive;
+    try {
+        [page, archive] = await Promise.all([
+            queryArchive({
+                item,
+                seller: seller || null,
+                minPrice: minPrice ?? null,
+                maxPrice: maxPrice ?? null,
+                from: from ?? 0,
+                to: to ?? Date.now(),
+                after,
+                limit
+            }),
+            getArchiveStats()
+        ]);
+    } catch (error) {
+        return sendResponse(res, { message: 'Failed to read the transaction archive', error: error.message }, 500);
+    }
+
+    return sendResponse(res, {
+        status: 200,
+        result: page.sales,
+        pagination: {
+            limit,
+            next_cursor: page.next_cursor
+        },
+        meta: {
+            filters: {
+                item,
+                seller: seller || null,
+                min_price: minPrice ?? null,
+                max_price: maxPrice ?? null,
+                from: from ?? null,
+                to: to ?? null
+            },
+            archive
+        }
+    }, 200, { 'Cache-Control': 'public, s-maxage=60, stale-while-revalidate=120' });
+};
@@ -0,0 +1,33 @@
+const { sendResponse, handleCors } = require('../config.js');
+const { cacheHeaders } = require('../_lib/cache.js');
+const { getMarketStats } = require('../_lib/marketstats.js');
+
+/**
+ * Market Statistics Endpoint - sale counts and volume per hour/day/week, top items, time-to-sell
+ * GET /api/transactions/stats
+ */
+module.exports = async (req, res) => {
+    // Handle CORS preflight
+    if (handleCors(req, res)) return;
+
+    // Validate request method
+    if (req.method !== 'GET') {
+        return sendResponse(res, {
+            message: 'Method not allowed',
+            reason: 'Invalid Request',
+            status: 405
+        }, 405);
+    }
+
+    let cached;
+    try {
+        cached = await getMarketStats();
+    } catch (error) {
+        return sendResponse(res, { message: 'Failed to compute market statistics', error: error.message }, 500);
+    }
+
+    return sendResponse(res, {
+        status: 200,
+        result: cached.value
+    }, 200, cacheHeaders(cached.status, cached.age, cached.policy));
+};
@@ -0,0 +1,131 @@
+// Signed Discord interaction generator - exercises /api/discord/interactions without Discord
+//
+// Usage:
+//   node dev/discord-interaction.js keys                 print a test key pair for .env.local
+//   node dev/discord-interaction.js commands             print the slash command definitions to register
+//   node dev/discord-interaction.js ping                 send a signed PING
+//   node dev/discord-interaction.js stats DonutKing      send a signed /stats user:DonutKing
+//   node dev/discord-interaction.js lb money 2           options are filled in command order
+//
+// Sending needs DISCORD_TEST_PRIVATE_KEY (from `keys`, read from .env.local like the dev server);
+// the dev server needs the matching DISCORD_PUBLIC_KEY.
+// DISCORD_INTERACTIONS_URL defaults to http://localhost:3000/api/discord/interactions.
+
+const crypto = require('crypto');
+const path = require('path');
+const { loadEnvFile } = require('./server.js');
+const { sendRequest } = require('../api/_lib/upstream.js');
+const { COMMANDS, INTERACTION_TYPES } = require('../api/_lib/interactions.js');
+
+// DER header of an Ed25519 PKCS#8 private key, followed by the 32-byte seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+/**
+ * New Ed25519 key pair as hex: publicKey (Discord's format) and privateKey (the 32-byte seed)
+ */
+function createTestKeys() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    return {
+        publicKey: Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url').toString('hex'),
+        privateKey: privateKey.export({ format: 'der', type: 'pkcs8' }).subarray(ED25519_PKCS8_PREFIX.length).toString('hex')
+    };
+}
+
+/**
+ * Sign a body like Discord does; returns the headers and the exact body string to send
+ */
+function signInteraction(body, privateKey, timestamp = Math.floor(Date.now() / 1000)) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    const key = crypto.createPrivateKey({
+        key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(privateKey, 'hex')]),
+        format: 'der',
+        type: 'pkcs8'
+    });
+    const signature = crypto.sign(null, Buffer.from(String(timestamp) + text), key).toString('hex');
+
+    return {
+        headers: {
+            'content-type': 'application/json',
+            'x-signature-ed25519': signature,
+            'x-signature-timestamp': String(timestamp)
+        },
+        body: text
+    };
+}
+
+/**
+ * An APPLICATION_COMMAND interaction as Discord sends it
+ */
+function commandInteraction(name, options = {}) {
+    const definition = COMMANDS.find(command => command.name === name);
+    return {
+        id: String(Date.now()),
+        application_id: '0',
+        type: INTERACTION_TYPES.APPLICATION_COMMAND,
+        token: 'test-interaction-token',
+        version: 1,
+        member: { user: { id: '0', username: 'tester' } },
+        data: {
+            id: '0',
+            name,
+            type: 1,
+            options: Object.entries(options).map(([option, value]) => ({
+                name: option,
+                type: definition?.options.find(o => o.name === option)?.type ?? 3,
+                value
+            }))
+        }
+    };
+}
+
+/**
+ * A PING interaction (sent by Discord when the endpoint URL is saved)
+ */
+function pingInteraction() {
+    return { id: String(Date.now()), application_id: '0', type: INTERACTION_TYPES.PING, token: 'test-interaction-token', version: 1 };
+}
+
+if (require.main === module) {
+    const [name, ...values] = process.argv.slice(2);
+
+    if (!name || name === 'keys') {
+        const keys = createTestKeys();
+        console.log(`DISCORD_PUBLIC_KEY=${keys.publicKey}`);
+        console.log(`DISCORD_TEST_PRIVATE_KEY=${keys.privateKey}`);
+    } else if (name === 'commands') {
+        console.log(JSON.stringify(COMMANDS, null, 2));
+    } else {
+        loadEnvFile(path.join(__dirname, '..', '.env.local'));
+        loadEnvFile(path.join(__dirname, '..', '.env'));
+        const privateKey = process.env.DISCORD_TEST_PRIVATE_KEY;
+        if (!privateKey) {
+            console.error('Set DISCORD_TEST_PRIVATE_KEY (see `node dev/discord-interaction.js keys`)');
+            process.exit(1);
+        }
+
+        const definition = COMMANDS.find(command => command.name === name);
+        const options = Object.fromEntries(values.map((value, i) => {
+            const option = definition?.options[i];
+            return [option?.name || `arg${i}`, option?.type === 4 ? parseInt(value) : value];
+        }));
+        const interaction = name === 'ping' ? pingInteraction() : commandInteraction(name, options);
+        const signed = signInteraction(interaction, privateKey);
+        const url = process.env.DISCORD_INTERACTIONS_URL || 'http://localhost:3000/api/discord/interactions';
+
+        sendRequest(url, { method: 'POST', headers: signed.headers, body: signed.body })
+            .then(response => {
+                console.log(`HTTP ${response.status}`);
+                try {
+                    console.log(JSON.stringify(JSON.parse(response.text), null, 2));
+                } catch (e) {
+                    console.log(response.text);
+                }
+            })
+            .catch(error => {
+                console.error(error.message);
+                process.exit(1);
+            });
+    }
+}
+
+module.exports = { createTestKeys, signInteraction, commandInteraction, pingInteraction };
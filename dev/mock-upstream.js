@@ -0,0 +1,186 @@
+// Local stand-in for the DonutSMP API and the other services the site reads (Mojang, skin
+// hosts, server status, Discord), served from recorded fixtures
+//
+// Usage:
+//   node dev/mock-upstream.js            serve fixtures on MOCK_PORT (default 4010)
+//   node dev/mock-upstream.js --record   proxy to the real APIs and save every response as a fixture
+//
+// Point the site at it with the base variables printed on start (dev/server.js --offline sets them all)
+
+const http = require('http');
+const fs = require('fs/promises');
+const path = require('path');
+const { sendRequest } = require('../api/_lib/upstream.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const MOCK_PORT = parseInt(process.env.MOCK_PORT) || 4010;
+
+// URL prefix -> fixture folder, real upstream (used by record mode) and the env variable pointing the site at it
+const SERVICES = [
+    { prefix: '/v1/', name: 'donutsmp', upstream: 'https://api.donutsmp.net/v1/', auth: true, env: 'DONUT_API_BASE' },
+    { prefix: '/mojang/', name: 'mojang', upstream: 'https://api.mojang.com/', auth: false, env: 'MOJANG_API_BASE' },
+    { prefix: '/mojang-session/', name: 'mojang-session', upstream: 'https://sessionserver.mojang.com/', auth: false, env: 'MOJANG_SESSION_BASE' },
+    { prefix: '/crafatar/', name: 'crafatar', upstream: 'https://crafatar.com/', auth: false, env: 'CRAFATAR_BASE' },
+    { prefix: '/minotar/', name: 'minotar', upstream: 'https://minotar.net/', auth: false, env: 'MINOTAR_BASE' },
+    { prefix: '/mcsrvstat/', name: 'mcsrvstat', upstream: 'https://api.mcsrvstat.us/', auth: false, env: 'MCSRVSTAT_API_BASE' },
+    { prefix: '/discord/', name: 'discord', upstream: 'https://discord.com/api/', auth: false, env: 'DISCORD_API_BASE' }
+];
+
+/**
+ * Env variables pointing every service at a mock running on baseUrl
+ */
+function serviceEnv(baseUrl) {
+    return Object.fromEntries(SERVICES.map(service => [service.env, baseUrl + service.prefix.replace(/\/$/, '')]));
+}
+
+/**
+ * Map a request path to its service and fixture path (without .json)
+ */
+function resolveFixture(pathname) {
+    const service = SERVICES.find(s => pathname.startsWith(s.prefix));
+    if (!service) return null;
+
+    const rest = pathname.slice(service.prefix.length).replace(/\/+$/, '');
+    const segments = rest.split('/').map(decodeURIComponent);
+    // Only plain path segments may become file names
+    if (segments.some(segment => !/^[a-zA-Z0-9_.-]+$/.test(segment) || segment.startsWith('.'))) return null;
+
+    return { service, rest, file: path.join(service.name, ...segments) };
+}
+
+/**
+ * Load a fixture, falling back to the nearest _default.json up the tree
+ */
+async function loadFixture(fixturesDir, file) {
+    const candidates = [file + '.json'];
+    for (let dir = path.dirname(file); dir !== '.'; dir = path.dirname(dir)) {
+        candidates.push(path.join(dir, '_default.json'));
+    }
+
+    for (const candidate of candidates) {
+        try {
+            return JSON.parse(await fs.readFile(path.join(fixturesDir, candidate), 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+    }
+    return null;
+}
+
+/**
+ * Fetch from the real upstream and save the response as a fixture
+ */
+async function recordFixture(fixturesDir, fixture, req, body) {
+    const headers = { 'Accept': 'application/json, image/png' };
+    if (fixture.service.auth) {
+        headers['Authorization'] = req.headers.authorization || `Bearer ${String(process.env.DONUT_API_KEY || '').split(',')[0].trim()}`;
+        headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await sendRequest(fixture.service.upstream + fixture.rest, {
+        method: req.method,
+        headers,
+        body: body || null
+    });
+
+    // Images (skins) are kept as base64 with their content type
+    let recorded;
+    if (!/json/.test(response.headers['content-type'] || '')) {
+        recorded = {
+            status: response.status,
+            headers: { 'Content-Type': response.headers['content-type'] || 'application/octet-stream' },
+            body_base64: response.raw.toString('base64')
+        };
+    } else {
+        let parsed;
+        try {
+            parsed = JSON.parse(response.text);
+        } catch (e) {
+            parsed = { message: response.text };
+        }
+        recorded = { status: response.status, body: parsed };
+    }
+
+    // Search/sort requests depend on the body, so don't overwrite the plain page fixture with them
+    if (!body) {
+        const target = path.join(fixturesDir, fixture.file + '.json');
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, JSON.stringify(recorded, null, 2) + '\n');
+    }
+    return recorded;
+}
+
+/**
+ * Create the mock upstream server
+ * Fixture files hold { status, body, headers?, delay? } - delay (ms) simulates slow responses.
+ * Binary responses (skins) hold body_base64 instead of body.
+ * overrides maps request paths to fixtures and wins over files (tests may change it at runtime)
+ * server.requests keeps the last 100 requests ({ method, path, headers, body }) for inspection
+ */
+function createMockUpstream({ fixturesDir = FIXTURES_DIR, record = false, overrides = {} } = {}) {
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async () => {
+            const send = (status, body, headers = {}) => {
+                res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                res.end(JSON.stringify(body));
+            };
+
+            const { pathname } = new URL(req.url, 'http://localhost');
+            server.requests.push({
+                method: req.method,
+                path: pathname,
+                headers: req.headers,
+                body: Buffer.concat(chunks).toString('utf8')
+            });
+            if (server.requests.length > 100) server.requests.shift();
+
+            const fixture = resolveFixture(pathname);
+            if (!fixture) {
+                return send(404, { message: 'No mock for ' + pathname, reason: 'Not Found', status: 404 });
+            }
+
+            // Mirror the real API's auth requirement
+            if (fixture.service.auth && !/^Bearer \S+/.test(req.headers.authorization || '')) {
+                return send(401, { message: 'Invalid API key', reason: 'Unauthorized', status: 401 });
+            }
+
+            try {
+                const body = Buffer.concat(chunks).toString('utf8');
+                const data = overrides[pathname]
+                    || (record
+                        ? await recordFixture(fixturesDir, fixture, req, body)
+                        : await loadFixture(fixturesDir, fixture.file));
+
+                if (!data) {
+                    return send(404, { message: 'No fixture for ' + pathname, reason: 'Not Found', status: 404 });
+                }
+
+                if (data.delay) await new Promise(resolve => setTimeout(resolve, data.delay));
+                if (data.body_base64 !== undefined) {
+                    res.writeHead(data.status || 200, { 'Content-Type': 'application/octet-stream', ...data.headers });
+                    return res.end(Buffer.from(data.body_base64, 'base64'));
+                }
+                send(data.status || 200, data.body, data.headers);
+            } catch (error) {
+                send(500, { message: 'Mock error: ' + error.message, reason: 'Mock Error', status: 500 });
+            }
+        });
+    });
+
+    server.requests = [];
+    return server;
+}
+
+if (require.main === module) {
+    const record = process.argv.includes('--record');
+    createMockUpstream({ record }).listen(MOCK_PORT, () => {
+        console.log(`Mock upstream ${record ? 'recording' : 'serving fixtures'} on http://localhost:${MOCK_PORT}`);
+        for (const [name, value] of Object.entries(serviceEnv(`http://localhost:${MOCK_PORT}`))) {
+            console.log(`  ${name}=${value}`);
+        }
+    });
+}
+
+module.exports = { FIXTURES_DIR, SERVICES, serviceEnv, createMockUpstream };
@@ -0,0 +1,342 @@
+// Zero-dependency local dev server replicating the Vercel deployment
+//
+// Usage:
+//   node dev/server.js             serve on PORT (default 3000)
+//   node dev/server.js --offline   also start the mock upstream and point the API at it
+//
+// - api/**/*.js handlers are mounted like Vercel functions (files/folders starting with _ are skipped)
+// - public/ is served through the rewrites and headers declared in vercel.json
+// - handlers are reloaded when anything under api/ changes
+// - .env and .env.local are loaded into process.env
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const API_DIR = path.join(ROOT, 'api');
+const PORT = parseInt(process.env.PORT) || 3000;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+/**
+ * Load KEY=VALUE lines from an env file without overriding existing variables
+ */
+function loadEnvFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        return;
+    }
+
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)\s*$/);
+        if (!match || match[1] in process.env) continue;
+        process.env[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+    }
+}
+
+/**
+ * Compile a vercel.json source pattern (":name", ":name*" and regex groups) to a RegExp
+ */
+function compilePattern(source) {
+    const names = [];
+    let pattern = '';
+
+    for (let i = 0; i < source.length;) {
+        const param = source.slice(i).match(/^:([A-Za-z_]\w*)(\*|\+|\?)?/);
+        if (param) {
+            names.push(param[1]);
+            pattern += param[2] === '*' ? '(.*)' : param[2] === '+' ? '(.+)' : '([^/]+)';
+            if (param[2] === '?') pattern += '?';
+            i += param[0].length;
+        } else if (source[i] === '(') {
+            // Raw regex group - copy through to its closing paren
+            const end = source.indexOf(')', i);
+            names.push(String(names.length));
+            pattern += source.slice(i, end + 1);
+            i = end + 1;
+        } else {
+            pattern += source[i].replace(/[.+?^${}|[\]\\]/g, '\\$&');
+            i++;
+        }
+    }
+
+    return { regex: new RegExp('^' + pattern + '$'), names };
+}
+
+/**
+ * Match a pathname against a compiled pattern, returning named params or null
+ */
+function matchPattern(compiled, pathname) {
+    const match = pathname.match(compiled.regex);
+    if (!match) return null;
+    const params = {};
+    compiled.names.forEach((name, index) => {
+        params[name] = match[index + 1] || '';
+    });
+    return params;
+}
+
+/**
+ * Read vercel.json rewrites and headers
+ */
+function loadVercelConfig() {
+    const config = JSON.parse(fs.readFileSync(path.join(ROOT, 'vercel.json'), 'utf8'));
+    return {
+        rewrites: (config.rewrites || []).map(rule => ({ ...rule, compiled: compilePattern(rule.source) })),
+        headers: (config.headers || []).map(rule => ({ ...rule, compiled: compilePattern(rule.source) }))
+    };
+}
+
+/**
+ * Apply the first matching rewrite to a pathname
+ */
+function rewritePath(rewrites, pathname) {
+    for (const rule of rewrites) {
+        const params = matchPattern(rule.compiled, pathname);
+        if (!params) continue;
+        return rule.destination.replace(/:([A-Za-z_]\w*)\*?/g, (_, name) => params[name] ?? '');
+    }
+    return pathname;
+}
+
+/**
+ * Latest modification time of anything under api/ (used for hot reload)
+ */
+function latestApiChange(dir = API_DIR) {
+    let latest = 0;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        latest = Math.max(latest, entry.isDirectory() ? latestApiChange(full) : fs.statSync(full).mtimeMs);
+    }
+    return latest;
+}
+
+let lastApiChange = 0;
+
+/**
+ * Drop cached api/ modules if any file changed since the last request
+ */
+function reloadHandlersIfChanged() {
+    const latest = latestApiChange();
+    if (latest <= lastApiChange) return;
+
+    if (lastApiChange > 0) {
+        for (const file of Object.keys(require.cache)) {
+            if (file.startsWith(API_DIR + path.sep)) delete require.cache[file];
+        }
+        console.log('[dev] api/ changed, handlers reloaded');
+    }
+    lastApiChange = latest;
+}
+
+/**
+ * Find the handler file for an /api/... path, following Vercel's file routing
+ */
+function resolveHandler(pathname) {
+    const segments = pathname.replace(/^\/api\/?/, '').split('/').filter(Boolean);
+    if (segments.some(segment => segment.startsWith('_') || segment.startsWith('.'))) return null;
+
+    const base = path.join(API_DIR, ...segments);
+    for (const candidate of [base + '.js', path.join(base, 'index.js')]) {
+        if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+    }
+    return null;
+}
+
+/**
+ * Parse a request body the way Vercel does (JSON, form or text)
+ */
+function parseBody(raw, contentType = '') {
+    if (!raw.length) return undefined;
+    const text = raw.toString('utf8');
+    if (contentType.includes('application/json')) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return text;
+        }
+    }
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+        return Object.fromEntries(new URLSearchParams(text));
+    }
+    return text;
+}
+
+/**
+ * Build the Vercel req.query object (repeated keys become arrays)
+ */
+function buildQuery(searchParams) {
+    const query = {};
+    for (const [key, value] of searchParams) {
+        if (Object.hasOwn(query, key)) {
+            query[key] = [].concat(query[key], value);
+        } else {
+            query[key] = value;
+        }
+    }
+    return query;
+}
+
+/**
+ * Add Vercel's helper methods to a Node response
+ */
+function decorateResponse(res) {
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (data) => {
+        if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.end(JSON.stringify(data));
+        return res;
+    };
+    res.send = (body) => {
+        if (body === undefined || body === null) {
+            res.end();
+        } else if (Buffer.isBuffer(body)) {
+            if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/octet-stream');
+            res.end(body);
+        } else if (typeof body === 'object') {
+            return res.json(body);
+        } else {
+            if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            res.end(String(body));
+        }
+        return res;
+    };
+    res.redirect = (statusOrUrl, url) => {
+        res.statusCode = url ? statusOrUrl : 307;
+        res.setHeader('Location', url || statusOrUrl);
+        res.end();
+        return res;
+    };
+    return res;
+}
+
+/**
+ * Run an API handler with the Vercel request/response shim
+ */
+async function invokeHandler(file, req, res, url, rawBody) {
+    reloadHandlersIfChanged();
+
+    req.query = buildQuery(url.searchParams);
+    req.cookies = Object.fromEntries(
+        String(req.headers.cookie || '').split(';').map(c => c.trim().split('=')).filter(([k]) => k)
+    );
+    // The stream is already read here; handlers that verify signatures need the exact bytes
+    req.rawBody = rawBody;
+    decorateResponse(res);
+
+    let handler = require(file);
+    // Like Vercel, `config.api.bodyParser = false` leaves req.body unset
+    if (handler.config?.api?.bodyParser !== false) {
+        req.body = parseBody(rawBody, req.headers['content-type']);
+    }
+    if (typeof handler !== 'function') handler = handler.default;
+    if (typeof handler !== 'function') {
+        res.status(500).json({ message: `${path.relative(ROOT, file)} does not export a handler`, status: 500 });
+        return;
+    }
+
+    await handler(req, res);
+}
+
+/**
+ * Serve a static file (directories serve index.html)
+ */
+function serveStatic(res, destination) {
+    let file = path.join(ROOT, decodeURIComponent(destination));
+    if (!file.startsWith(ROOT + path.sep)) return false;
+
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+    if (!fs.existsSync(file) || !fs.statSync(file).isFile()) return false;
+
+    res.setHeader('Content-Type', MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream');
+    fs.createReadStream(file).pipe(res);
+    return true;
+}
+
+/**
+ * Create the dev server
+ */
+function createDevServer() {
+    return http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async () => {
+            const started = Date.now();
+            const url = new URL(req.url, 'http://localhost');
+            const vercel = loadVercelConfig();
+
+            res.on('finish', () => {
+                console.log(`[dev] ${req.method} ${url.pathname}${url.search} ${res.statusCode} ${Date.now() - started}ms`);
+            });
+
+            // Headers from vercel.json apply to the original path
+            for (const rule of vercel.headers) {
+                if (!matchPattern(rule.compiled, url.pathname)) continue;
+                for (const header of rule.headers) res.setHeader(header.key, header.value);
+            }
+
+            try {
+                const destination = rewritePath(vercel.rewrites, url.pathname);
+
+                if (destination === '/api' || destination.startsWith('/api/')) {
+                    const file = resolveHandler(destination);
+                    if (file) return await invokeHandler(file, req, res, url, Buffer.concat(chunks));
+                } else if (serveStatic(res, destination)) {
+                    return;
+                }
+
+                res.statusCode = 404;
+                res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+                res.end('404: NOT_FOUND');
+            } catch (error) {
+                console.error(error);
+                if (!res.headersSent) {
+                    res.statusCode = 500;
+                    res.setHeader('Content-Type', 'application/json');
+                }
+                res.end(JSON.stringify({ message: 'Handler crashed: ' + error.message, status: 500 }));
+            }
+        });
+    });
+}
+
+if (require.main === module) {
+    loadEnvFile(path.join(ROOT, '.env.local'));
+    loadEnvFile(path.join(ROOT, '.env'));
+
+    const start = () => createDevServer().listen(PORT, () => {
+        console.log(`Dev server running on http://localhost:${PORT}`);
+    });
+
+    if (process.argv.includes('--offline')) {
+        // Handlers read these at load time, so set them before the first request
+        const { createMockUpstream, serviceEnv } = require('./mock-upstream.js');
+        const mockPort = parseInt(process.env.MOCK_PORT) || 4010;
+        Object.assign(process.env, serviceEnv(`http://localhost:${mockPort}`));
+        process.env.DONUT_API_KEY = process.env.DONUT_API_KEY || 'offline-dev-key';
+        createMockUpstream().listen(mockPort, () => {
+            console.log(`Mock upstream serving fixtures on http://localhost:${mockPort}`);
+            start();
+        });
+    } else {
+        start();
+    }
+}
+
+module.exports = { loadEnvFile, compilePattern, matchPattern, rewritePath, resolveHandler, buildQuery, createDevServer };
@@ -0,0 +1,73 @@
+// Local webhook receiver - stands in for Discord (or any webhook) and records what it is sent
+//
+// Usage:
+//   node dev/webhook-sink.js             listen on SINK_PORT (default 4020) and print each delivery
+//
+// Point notifications at it (plain http needs WEBHOOK_ALLOW_INSECURE=1):
+//   webhook_url: http://localhost:4020/hook
+// GET any path to see everything received so far.
+
+const http = require('http');
+
+const SINK_PORT = parseInt(process.env.SINK_PORT) || 4020;
+
+/**
+ * One-line summary of a delivery for the console
+ */
+function describeDelivery(body) {
+    if (Array.isArray(body?.embeds)) return body.embeds.map(embed => `[embed] ${embed.title}`).join('\n');
+    if (body?.event) return `[${body.event}] ${(body.matches || []).length} match(es)`;
+    return JSON.stringify(body);
+}
+
+/**
+ * Create the webhook sink
+ * Deliveries answer 204 like Discord; push { status, body?, headers? } onto server.responses
+ * to script the next answers (e.g. a 429 with retry_after to exercise the retry queue)
+ * server.received keeps every POST ({ path, headers, body })
+ */
+function createWebhookSink({ log = false } = {}) {
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            if (req.method !== 'POST') {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify(server.received));
+            }
+
+            const text = Buffer.concat(chunks).toString('utf8');
+            let body;
+            try {
+                body = JSON.parse(text);
+            } catch (e) {
+                body = text;
+            }
+
+            const { pathname } = new URL(req.url, 'http://localhost');
+            server.received.push({ path: pathname, headers: req.headers, body });
+            if (log) console.log(`${new Date().toISOString()} ${pathname}\n${describeDelivery(body)}\n`);
+
+            const scripted = server.responses.shift();
+            if (!scripted) {
+                res.writeHead(204);
+                return res.end();
+            }
+            res.writeHead(scripted.status, { 'Content-Type': 'application/json', ...scripted.headers });
+            res.end(scripted.body === undefined ? '' : JSON.stringify(scripted.body));
+        });
+    });
+
+    server.received = [];
+    server.responses = [];
+    return server;
+}
+
+if (require.main === module) {
+    createWebhookSink({ log: true }).listen(SINK_PORT, () => {
+        console.log(`Webhook sink listening on http://localhost:${SINK_PORT}/hook`);
+        console.log('  Set WEBHOOK_ALLOW_INSECURE=1 on the dev server to allow it');
+    });
+}
+
+module.exports = { createWebhookSink };
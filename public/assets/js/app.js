@@ -319,30 +319,38 @@ function refreshCurrentPage() {
 // ============================================
 
 /**
- * Store price data in localStorage for historical tracking
+ * Fetch shared price history for up to 30 items at once
+ * Returns { [itemId]: [{ time, avg, median, min, max, listings }] }
  */
-function storePriceHistory(itemId, price) {
-    const key = `price_history_${itemId}`;
-    const now = Date.now();
-    
-    let history = JSON.parse(localStorage.getItem(key) || '[]');
-    
-    // Add new price point
-    history.push({ time: now, price: price });
-    
-    // Keep only last 30 days of data (or 100 points max)
-    const thirtyDaysAgo = now - (30 * 24 * 60 * 60 * 1000);
-    history = history.filter(p => p.time > thirtyDaysAgo).slice(-100);
-    
-    localStorage.setItem(key, JSON.stringify(history));
+async function fetchPriceHistory(itemIds, range = '7d') {
+    const data = await apiRequest('prices/history', { item: itemIds.join(','), range });
+    return data.result?.items || {};
 }
 
 /**
- * Get price history for an item
+ * Fill in the sparklines and trends of the rendered price cards
  */
-function getPriceHistory(itemId) {
-    const key = `price_history_${itemId}`;
-    return JSON.parse(localStorage.getItem(key) || '[]');
+async function loadPriceSparklines(items) {
+    if (!items.length) return;
+
+    let history;
+    try {
+        history = await fetchPriceHistory(items.map(item => item.id));
+    } catch (error) {
+        console.error('Error loading price history:', error);
+        return;
+    }
+
+    document.querySelectorAll('.price-card-trend[data-item]').forEach(el => {
+        const points = history[el.dataset.item];
+        if (!points) return;
+
+        const trend = calculatePriceTrend(points);
+        el.innerHTML = `
+            ${generateSparkline(points)}
+            ${trend ? `<span class="price-trend ${trend.direction}">${trend.direction === 'up' ? '+' : ''}${trend.percentage}%</span>` : ''}
+        `;
+    });
 }
 
 /**
@@ -353,7 +361,7 @@ function generateSparkline(data, width = 60, height = 20) {
         return '<span class="sparkline-neutral">-</span>';
     }
     
-    const prices = data.map(d => d.price);
+    const prices = data.map(d => d.median);
     const min = Math.min(...prices);
     const max = Math.max(...prices);
     const range = max - min || 1;
@@ -396,7 +404,7 @@ function generateSparkline(data, width = 60, height = 20) {
 function calculatePriceTrend(data) {
     if (!data || data.length < 2) return null;
     
-    const prices = data.map(d => d.price);
+    const prices = data.map(d => d.median);
     const firstPrice = prices[0];
     const lastPrice = prices[prices.length - 1];
     
@@ -686,7 +694,7 @@ function showToast(message, type = 'info') {
 /**
  * Make API request with error handling
  */
-async function apiRequest(endpoint, params = {}) {
+async function apiRequest(endpoint, params = {}, options = {}) {
     // Build URL - handle both absolute and relative paths
     let urlString = `${API_BASE}/${endpoint}`;
     
@@ -703,7 +711,7 @@ async function apiRequest(endpoint, params = {}) {
     }
     
     try {
-        const response = await fetch(urlString);
+        const response = await fetch(urlString, options);
         const text = await response.text();
         
         // Check if response is empty
@@ -771,6 +779,41 @@ async function fetchAuction(page = 1, search = '', sort = '') {
     return apiRequest('auction', { page, search, sort });
 }
 
+/**
+ * Fetch underpriced auction listings
+ */
+async function fetchDeals(page = 1, filters = {}) {
+    return apiRequest('auction/deals', { page, ...filters });
+}
+
+/**
+ * Browser token that owns this visitor's saved searches (created on first use)
+ */
+function getAlertsToken() {
+    let token = localStorage.getItem('alertsToken');
+    if (!token) {
+        const bytes = crypto.getRandomValues(new Uint8Array(24));
+        token = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        localStorage.setItem('alertsToken', token);
+    }
+    return token;
+}
+
+/**
+ * Saved searches API (GET list, POST create, DELETE remove)
+ */
+async function alertsRequest(method = 'GET', params = {}, body = null) {
+    const options = {
+        method,
+        headers: { 'Authorization': `Bearer ${getAlertsToken()}` }
+    };
+    if (body) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+    return apiRequest('alerts', params, options);
+}
+
 /**
  * Fetch auction transactions
  */
@@ -1013,6 +1056,7 @@ function renderAuctionItem(item) {
     const itemId = item.item?.id || '';
     const lore = item.item?.lore || [];
     const contents = item.item?.contents || null; // Shulker box contents
+    const valuation = item.valuation || null; // Estimated contents value from the price guide
     
     // Format item name nicely - remove minecraft: prefix and format
     const formattedName = formatItemName(displayName, itemId);
@@ -1042,7 +1086,8 @@ function renderAuctionItem(item) {
         lore,
         displayName,
         imageUrl: itemImageUrl,
-        contents // Store contents for modal
+        contents, // Store contents for modal
+        valuation
     };
     
     return `
@@ -1071,6 +1116,11 @@ function renderAuctionItem(item) {
                         <i class="bi bi-box2"></i> ${contentsCount} Item${contentsCount > 1 ? 's' : ''} Inside
                     </div>
                 ` : ''}
+                ${valuation ? `
+                    <div class="auction-badge valuation-badge ${valuation.difference >= 0 ? 'under' : 'over'}" title="Estimated value of the contents from the price guide">
+                        <i class="bi bi-calculator"></i> Contents ≈ $${formatAbbreviated(valuation.contents_value)}
+                    </div>
+                ` : ''}
             </div>
             
             <div class="auction-card-stats">
@@ -1204,6 +1254,39 @@ function showAuctionModal(itemDataId) {
         `;
     }
     
+    // Build contents valuation section
+    let valuationHtml = '';
+    if (item.valuation) {
+        const v = item.valuation;
+        valuationHtml = `
+            <div class="modal-section">
+                <h4><i class="bi bi-calculator"></i> Contents Value</h4>
+                <div class="valuation-summary">
+                    <div class="valuation-figure">
+                        <span class="valuation-label">Estimated contents</span>
+                        <span class="valuation-value">$${formatAbbreviated(v.contents_value)}</span>
+                    </div>
+                    <div class="valuation-figure">
+                        <span class="valuation-label">Asking price</span>
+                        <span class="valuation-value">$${formatAbbreviated(v.asking_price)}</span>
+                    </div>
+                    <div class="valuation-figure">
+                        <span class="valuation-label">${v.difference >= 0 ? 'Below contents by' : 'Above contents by'}</span>
+                        <span class="valuation-value ${v.difference >= 0 ? 'under' : 'over'}">$${formatAbbreviated(Math.abs(v.difference))}</span>
+                    </div>
+                </div>
+                <div class="valuation-stacks">
+                    ${v.stacks.map(stack => `
+                        <div class="valuation-stack">
+                            <span>${formatItemName(stack.id)} x${stack.count}</span>
+                            <span>${stack.value !== null ? `$${formatAbbreviated(stack.value)}` : 'No price data'}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+    
     const modalHtml = `
         <div class="modal-overlay" onclick="closeAuctionModal(event)">
             <div class="modal-content ${item.contents && item.contents.length > 0 ? 'modal-wide' : ''}" onclick="event.stopPropagation()">
@@ -1243,6 +1326,7 @@ function showAuctionModal(itemDataId) {
                 
                 ${enchantsHtml}
                 ${loreHtml}
+                ${valuationHtml}
                 ${contentsHtml}
                 
                 <div class="modal-actions">
@@ -1478,10 +1562,15 @@ async function initStatsPage() {
     const playerInfoSection = document.getElementById('player-info-section');
     const playerStatsGrid = document.getElementById('player-stats-grid');
     const rankingsGrid = document.getElementById('rankings-grid');
+    const sellerProfile = document.getElementById('seller-profile');
     
     if (playerInfoSection) playerInfoSection.innerHTML = '<div class="loading-spinner"><div class="spinner"></div></div>';
     if (playerStatsGrid) playerStatsGrid.innerHTML = '<div class="loading-spinner"><div class="spinner"></div></div>';
     if (rankingsGrid) rankingsGrid.innerHTML = '<div class="loading-spinner"><div class="spinner"></div></div>';
+    if (sellerProfile) sellerProfile.innerHTML = '<div class="loading-spinner"><div class="spinner"></div></div>';
+    
+    // Seller profile loads alongside the player's stats
+    if (sellerProfile) renderSellerProfile(username, sellerProfile);
     
     try {
         // Fetch player UUID from Mojang API (via proxy to avoid CORS)
@@ -1725,40 +1814,105 @@ function renderPlayerStatsCards(stats) {
 }
 
 /**
- * Render player leaderboard rankings
+ * Render a player's auction house activity: live auctions, sales and pricing against the market
+ */
+async function renderSellerProfile(username, container) {
+    try {
+        const data = await apiRequest('seller', { user: username });
+        const profile = data.result;
+        
+        if (profile.active.count === 0 && profile.sales.count === 0) {
+            container.innerHTML = `<p class="no-data">${profile.username} has no auctions or recorded sales.</p>`;
+            return;
+        }
+        
+        // Positive discounts are priced below the price guide median
+        const discountText = (market) => {
+            if (market.avg_discount === null) return 'No comparable prices';
+            const side = market.avg_discount >= 0 ? 'below' : 'above';
+            return `${Math.abs(market.avg_discount)}% ${side} market`;
+        };
+        
+        const cards = [
+            { icon: 'bi-hammer', label: 'Active Auctions', value: formatNumber(profile.active.count), sub: `${formatMoney(profile.active.value)} listed` },
+            { icon: 'bi-bag-check', label: 'Sales Recorded', value: formatNumber(profile.sales.count), sub: profile.sales.last_sale ? `Last ${formatTimeAgo(profile.sales.last_sale)}` : 'None yet' },
+            { icon: 'bi-cash-stack', label: 'Sales Volume', value: formatMoney(profile.sales.volume), sub: profile.sales.first_sale ? `Since ${new Date(profile.sales.first_sale).toLocaleDateString()}` : '' },
+            { icon: 'bi-percent', label: 'Avg Discount', value: discountText(profile.market.sales), sub: `Listings: ${discountText(profile.market.listings)}` }
+        ];
+        
+        const recentSales = profile.sales.recent.map(sale => ({ ...sale, unixMillisDateSold: sale.t }));
+        
+        container.innerHTML = `
+            <div class="player-stats-grid">
+                ${cards.map(card => `
+                    <div class="player-stat-card">
+                        <div class="player-stat-header">
+                            <span class="player-stat-label">${card.label}</span>
+                            <i class="bi ${card.icon} player-stat-icon"></i>
+                        </div>
+                        <div class="player-stat-value">${card.value}</div>
+                        ${card.sub ? `<div class="player-stat-sub">${card.sub}</div>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+            ${profile.favorite_items.length > 0 ? `
+                <h3 class="seller-subtitle">Favorite Items</h3>
+                <div class="price-variant-list">
+                    ${profile.favorite_items.map(item => `
+                        <div class="price-variant-row">
+                            <span class="price-variant-name">${item.name}</span>
+                            <span class="price-variant-listings">${item.sales} sale${item.sales !== 1 ? 's' : ''}</span>
+                            <span class="price-variant-price">${formatMoney(item.volume)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+            ${recentSales.length > 0 ? `
+                <h3 class="seller-subtitle">Recent Sales</h3>
+                <div class="transactions-list">${recentSales.map(renderTransactionItem).join('')}</div>
+            ` : ''}
+            ${profile.active.listings.length > 0 ? `
+                <h3 class="seller-subtitle">Active Auctions${profile.active.count > profile.active.listings.length ? ` (newest ${profile.active.listings.length} of ${profile.active.count})` : ''}</h3>
+                <div class="auction-grid">${profile.active.listings.map(renderAuctionItem).join('')}</div>
+            ` : ''}
+        `;
+    } catch (error) {
+        container.innerHTML = `<p class="no-data">Seller data is unavailable: ${error.message}</p>`;
+    }
+}
+
+/**
+ * Render player leaderboard rankings (exact positions on every board from the rank index)
  */
 async function renderPlayerRankings(username, container) {
     const categories = [
         { type: 'money', label: 'Top Money Holders', icon: 'bi-currency-dollar' },
+        { type: 'shards', label: 'Top Shard Collectors', icon: 'bi-gem' },
         { type: 'kills', label: 'Top PvP Players', icon: 'bi-crosshair' },
+        { type: 'deaths', label: 'Top Deaths', icon: 'bi-heart' },
         { type: 'playtime', label: 'Top Active Players', icon: 'bi-clock' },
-        { type: 'placedblocks', label: 'Top Builders', icon: 'bi-grid-3x3' }
+        { type: 'placedblocks', label: 'Top Builders', icon: 'bi-grid-3x3' },
+        { type: 'brokenblocks', label: 'Top Block Breakers', icon: 'bi-hammer' },
+        { type: 'mobskilled', label: 'Top Mob Hunters', icon: 'bi-bug' },
+        { type: 'sell', label: 'Top Sellers', icon: 'bi-tag' },
+        { type: 'shop', label: 'Top Spenders', icon: 'bi-cart' }
     ];
     
-    const rankings = [];
-    
-    // Fetch leaderboards and find player's position
-    for (const cat of categories) {
-        try {
-            const data = await fetch(`${API_BASE}/leaderboard?type=${cat.type}&page=1`);
-            const json = await data.json();
-            const players = json.result || [];
-            const playerIndex = players.findIndex(p => p.username.toLowerCase() === username.toLowerCase());
-            
-            if (playerIndex !== -1) {
-                rankings.push({
-                    ...cat,
-                    rank: playerIndex + 1,
-                    value: players[playerIndex].value
-                });
-            }
-        } catch (e) {
-            console.error(`Failed to fetch ${cat.type} leaderboard`);
-        }
+    let ranks = [];
+    try {
+        const data = await apiRequest('rank', { user: username });
+        ranks = data.result?.ranks || [];
+    } catch (e) {
+        console.error('Failed to fetch rankings:', e);
     }
     
+    const rankings = categories
+        .map(cat => ({ ...cat, ...ranks.find(r => r.type === cat.type) }))
+        .filter(r => r.rank);
+    
     if (rankings.length === 0) {
-        container.innerHTML = '<p class="no-data">No leaderboard rankings found for this player.</p>';
+        const indexed = ranks.some(r => r.indexed_at);
+        container.innerHTML = `<p class="no-data">${indexed ? 'No leaderboard rankings found for this player.' : 'Leaderboard rankings are still being indexed.'}</p>`;
         return;
     }
     
@@ -1767,7 +1921,8 @@ async function renderPlayerRankings(username, container) {
             <div class="ranking-icon"><i class="bi ${r.icon}"></i></div>
             <div class="ranking-info">
                 <span class="ranking-label">${r.label}</span>
-                <span class="ranking-position">Leaderboard Position <strong>#${r.rank}</strong></span>
+                <span class="ranking-position">Leaderboard Position <strong>#${formatNumber(r.rank)}</strong>${r.top_percent !== null ? ` · Top ${r.top_percent}%` : ''}</span>
+                <span class="ranking-detail">${formatLeaderboardValue(r.value, r.type)}${r.percentile !== null ? ` · ahead of ${r.percentile}% of ${formatNumber(r.players)} players` : ''}</span>
             </div>
         </a>
     `).join('');
@@ -2284,8 +2439,252 @@ async function initAuctionPage() {
         loadAuction(false); // Don't show loading spinner on auto-refresh
     });
     
+    // Listings / Deals / Alerts tabs
+    const dealsTab = initDealsTab();
+    const alertsTab = initAlertsTab();
+    const tabs = document.querySelectorAll('.auction-tab');
+    function showTab(tab) {
+        tabs.forEach(btn => btn.classList.toggle('active', btn.dataset.tab === tab));
+        document.getElementById('auction-listings-panel').hidden = tab !== 'listings';
+        document.getElementById('auction-deals-panel').hidden = tab !== 'deals';
+        document.getElementById('auction-alerts-panel').hidden = tab !== 'alerts';
+        
+        const url = new URL(window.location);
+        if (tab !== 'listings') url.searchParams.set('tab', tab);
+        else url.searchParams.delete('tab');
+        window.history.replaceState({}, '', url);
+        
+        if (tab === 'deals') dealsTab.load();
+        if (tab === 'alerts') alertsTab.load();
+    }
+    tabs.forEach(btn => btn.addEventListener('click', () => showTab(btn.dataset.tab)));
+    
     // Initial load
+    if (['deals', 'alerts'].includes(params.get('tab'))) {
+        showTab(params.get('tab'));
+    }
     loadAuction();
+    alertsTab.startPolling();
+}
+
+/**
+ * Set up the Deals tab: listings priced below the price guide median
+ */
+function initDealsTab() {
+    const container = document.getElementById('deals-container');
+    const paginationContainer = document.getElementById('deals-pagination');
+    const searchInput = document.getElementById('deals-search');
+    const confidenceSelect = document.getElementById('deals-min-confidence');
+    const profitInput = document.getElementById('deals-min-profit');
+    const discountInput = document.getElementById('deals-min-discount');
+    let currentPage = 1;
+    
+    async function load() {
+        if (!container) return;
+        container.innerHTML = createLoadingSpinner('Finding deals...');
+        
+        try {
+            const data = await fetchDeals(currentPage, {
+                search: searchInput?.value.trim() || '',
+                min_confidence: confidenceSelect?.value || 'medium',
+                min_profit: profitInput?.value || '',
+                min_discount: discountInput?.value || ''
+            });
+            const deals = data.result || [];
+            
+            container.innerHTML = deals.length === 0
+                ? createEmptyState(data.meta?.scan ? 'No deals match these filters right now.' : 'Deals appear after the first auction scan.')
+                : `<div class="auction-grid">${deals.map(renderDeal).join('')}</div>`;
+            
+            const totalPages = data.pagination?.total_pages || 1;
+            paginationContainer.innerHTML = totalPages > 1 ? `
+                <div class="prices-pagination">
+                    <button class="page-btn" ${currentPage <= 1 ? 'disabled' : ''} data-page="${currentPage - 1}">
+                        <i class="bi bi-chevron-left"></i> Previous
+                    </button>
+                    <span class="page-info">Page ${currentPage} of ${totalPages}</span>
+                    <button class="page-btn" ${currentPage >= totalPages ? 'disabled' : ''} data-page="${currentPage + 1}">
+                        Next <i class="bi bi-chevron-right"></i>
+                    </button>
+                </div>
+            ` : '';
+            paginationContainer.querySelectorAll('.page-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    currentPage = parseInt(btn.dataset.page);
+                    load();
+                    container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                });
+            });
+        } catch (error) {
+            container.innerHTML = createErrorState(error.message);
+        }
+    }
+    
+    const reload = debounce(() => {
+        currentPage = 1;
+        load();
+    }, 400);
+    [searchInput, profitInput, discountInput].forEach(input => input?.addEventListener('input', reload));
+    confidenceSelect?.addEventListener('change', reload);
+    
+    return { load };
+}
+
+// How often the auction page checks for saved search matches
+const ALERTS_POLL_INTERVAL = 60000;
+
+/**
+ * Set up the Alerts tab: saved searches checked against every auction scan,
+ * with new matches shown as notifications while the page is open
+ */
+function initAlertsTab() {
+    const form = document.getElementById('alerts-form');
+    const list = document.getElementById('alerts-list');
+    const matchesContainer = document.getElementById('alerts-matches');
+    let pollTimer = null;
+    
+    function renderSearches(searches) {
+        if (!list) return;
+        if (searches.length === 0) {
+            list.innerHTML = createEmptyState('No saved searches yet. Create one above to get alerts.');
+            return;
+        }
+        list.innerHTML = searches.map(search => {
+            const criteria = [
+                search.max_price !== null ? `≤ $${formatAbbreviated(search.max_price)} / unit` : 'Any price',
+                ...Object.entries(search.enchants).map(([name, level]) => formatEnchantment(name, level)),
+                ...search.seller_include.map(name => `from ${name}`),
+                ...search.seller_exclude.map(name => `not ${name}`)
+            ];
+            return `
+                <div class="alert-search">
+                    <div class="alert-search-info">
+                        <strong>${search.name}</strong>
+                        <span class="alert-search-item">${formatItemName(search.item)}</span>
+                        <div class="alert-search-criteria">${criteria.map(c => `<span class="enchant-tag">${c}</span>`).join('')}</div>
+                        ${search.webhook_url ? '<span class="alert-search-meta"><i class="bi bi-broadcast"></i> Webhook</span>' : ''}
+                        ${search.last_match_at ? `<span class="alert-search-meta">Last match ${formatTimeAgo(search.last_match_at)}</span>` : ''}
+                    </div>
+                    <button class="alert-delete" data-id="${search.id}" aria-label="Delete saved search">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </div>
+            `;
+        }).join('');
+        
+        list.querySelectorAll('.alert-delete').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                try {
+                    await alertsRequest('DELETE', { id: btn.dataset.id });
+                    load();
+                } catch (error) {
+                    showToast(error.message, 'error');
+                }
+            });
+        });
+    }
+    
+    function renderMatches(matches) {
+        if (!matchesContainer) return;
+        matchesContainer.innerHTML = matches.length === 0
+            ? createEmptyState('No matches yet. Searches are checked after every auction scan.')
+            : matches.map(match => `
+                <div class="alert-match">
+                    <span><strong>${match.search_name}</strong>: ${match.count}x ${formatItemName(match.item)}</span>
+                    <span>$${formatAbbreviated(match.price)} ($${formatAbbreviated(match.unit_price)} / unit)</span>
+                    <span>${match.seller ? `by <a href="stats.html?user=${encodeURIComponent(match.seller)}">${match.seller}</a>` : ''}</span>
+                    <span class="alert-search-meta">${formatTimeAgo(match.t)}</span>
+                </div>
+            `).join('');
+    }
+    
+    async function load() {
+        if (list) list.innerHTML = createLoadingSpinner('Loading saved searches...');
+        try {
+            const data = await alertsRequest('GET');
+            renderSearches(data.result.searches);
+            renderMatches(data.result.matches);
+        } catch (error) {
+            if (list) list.innerHTML = createErrorState(error.message);
+        }
+    }
+    
+    // Notify about matches found since the last check
+    async function poll() {
+        const since = parseInt(localStorage.getItem('alertsSeenAt')) || Date.now();
+        try {
+            const data = await alertsRequest('GET', { since });
+            const matches = data.result.matches;
+            localStorage.setItem('alertsSeenAt', String(data.meta.now));
+            
+            if (matches.length === 1) {
+                const match = matches[0];
+                showToast(`${match.search_name}: ${formatItemName(match.item)} for $${formatAbbreviated(match.price)}`, 'success');
+            } else if (matches.length > 1) {
+                showToast(`${matches.length} new listings match your saved searches`, 'success');
+            }
+            if (matches.length > 0 && !document.getElementById('auction-alerts-panel')?.hidden) load();
+        } catch (error) {
+            console.error('Failed to check saved searches:', error);
+        }
+    }
+    
+    function startPolling() {
+        // Only visitors who have saved a search have anything to poll for
+        if (pollTimer || !localStorage.getItem('alertsToken')) return;
+        poll();
+        pollTimer = setInterval(() => {
+            if (!document.hidden) poll();
+        }, ALERTS_POLL_INTERVAL);
+    }
+    
+    form?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const fields = new FormData(form);
+        const enchants = String(fields.get('enchants') || '')
+            .split(',')
+            .map(entry => entry.trim().toLowerCase().replace(/\s+/g, '_').replace(/_(\d+)$/, '=$1'))
+            .filter(Boolean);
+        
+        try {
+            await alertsRequest('POST', {}, {
+                name: fields.get('name'),
+                item: String(fields.get('item') || '').trim().toLowerCase().replace(/\s+/g, '_'),
+                max_price: fields.get('max_price'),
+                enchants,
+                seller_include: fields.get('seller_include'),
+                seller_exclude: fields.get('seller_exclude'),
+                webhook_url: fields.get('webhook_url')
+            });
+            form.reset();
+            showToast('Saved search created', 'success');
+            if (!localStorage.getItem('alertsSeenAt')) localStorage.setItem('alertsSeenAt', String(Date.now()));
+            startPolling();
+            load();
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+    
+    return { load, startPolling };
+}
+
+/**
+ * Render a deal: the listing card with its discount against the price guide
+ */
+function renderDeal(deal) {
+    const reference = deal.kind === 'contents' ? 'contents' : 'guide';
+    return `
+        <div class="deal-card">
+            <div class="deal-summary">
+                <span class="deal-discount">-${deal.discount}%</span>
+                <span>${deal.kind === 'contents' ? 'Contents' : 'Guide'} $${formatAbbreviated(deal.reference_price)}${deal.kind === 'item' ? ' / unit' : ''}</span>
+                <span class="deal-profit" title="Estimated profit against the ${reference} price">+$${formatAbbreviated(deal.profit)}</span>
+                <span class="price-confidence ${deal.confidence}">${deal.confidence}</span>
+            </div>
+            ${renderAuctionItem(deal.listing)}
+        </div>
+    `;
 }
 
 /**
@@ -2301,7 +2700,7 @@ async function initTransactionsPage() {
     const params = new URLSearchParams(window.location.search);
     let currentPage = parseInt(params.get('page')) || 1;
     
-    // Load transaction stats (approximate)
+    // Load market statistics
     loadTransactionStats();
     
     // Load transactions
@@ -2345,40 +2744,56 @@ async function initTransactionsPage() {
 }
 
 /**
- * Load transaction statistics
+ * Load market statistics (sale counts, volume, top items, time to sell) from the transaction archive
  */
 async function loadTransactionStats() {
+    const setText = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    };
+    
     try {
-        // Fetch first page of transactions to calculate stats
-        const response = await fetch(`${API_BASE}/transactions?page=1`);
-        const data = await response.json();
+        const data = await apiRequest('transactions/stats');
+        const stats = data.result;
         
-        if (data.result && data.result.length > 0) {
-            // Calculate totals from visible transactions
-            const transactions = data.result;
-            const totalVolume = transactions.reduce((sum, t) => sum + (t.price || 0), 0);
-            
-            // Get recent transactions (last 24 hours)
-            const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-            const recentTransactions = transactions.filter(t => {
-                const timestamp = t.timestamp ? new Date(t.timestamp).getTime() : 0;
-                return timestamp > oneDayAgo;
-            });
-            const dailyVolume = recentTransactions.reduce((sum, t) => sum + (t.price || 0), 0);
-            
-            // Update stats display (these are samples from current page)
-            const statTotalTransactions = document.getElementById('stat-total-transactions');
-            const statTotalVolume = document.getElementById('stat-total-volume');
-            const statDailyTransactions = document.getElementById('stat-daily-transactions');
-            const statDailyVolume = document.getElementById('stat-daily-volume');
-            
-            if (statTotalTransactions) statTotalTransactions.textContent = formatNumber(transactions.length * 100) + '+';
-            if (statTotalVolume) statTotalVolume.textContent = formatMoney(totalVolume * 100);
-            if (statDailyTransactions) statDailyTransactions.textContent = formatNumber(recentTransactions.length);
-            if (statDailyVolume) statDailyVolume.textContent = formatMoney(dailyVolume);
+        // Windows that start before the archive's first poll only count part of the period
+        ['hour', 'day', 'week'].forEach(name => {
+            const period = stats.windows[name];
+            setText(`market-sales-${name}`, formatNumber(period.sales));
+            setText(`market-volume-${name}`, `${formatMoney(period.volume)} traded${period.complete ? '' : ' (partial)'}`);
+        });
+        
+        const timeToSell = stats.time_to_sell;
+        setText('market-time-to-sell', timeToSell.median_ms === null ? '-' : formatTimeLeft(timeToSell.median_ms));
+        setText('market-time-samples', `From ${formatNumber(timeToSell.samples)} tracked listings`);
+        
+        setText('market-archive-total', formatNumber(stats.archive.total));
+        setText('market-archive-since', stats.archive.since
+            ? `Since ${new Date(stats.archive.since).toLocaleDateString()}`
+            : 'Collection has not started');
+        
+        const [topItem] = stats.top_items;
+        setText('market-top-item', topItem ? topItem.name : '-');
+        setText('market-top-item-volume', topItem ? `${formatMoney(topItem.volume)} this week` : 'No sales this week');
+        
+        const table = document.getElementById('market-top-items');
+        if (table) {
+            table.innerHTML = stats.top_items.length > 0
+                ? stats.top_items.map(item => `
+                    <tr>
+                        <td>${item.name}</td>
+                        <td>${formatNumber(item.sales)}</td>
+                        <td>${formatNumber(item.quantity)}</td>
+                        <td>${formatMoney(item.volume)}</td>
+                        <td>${formatMoney(item.avg_unit_price)}</td>
+                    </tr>
+                `).join('')
+                : '<tr><td colspan="5" class="no-data">No sales recorded this week</td></tr>';
         }
     } catch (error) {
         console.error('Failed to load transaction stats:', error);
+        ['market-sales-hour', 'market-sales-day', 'market-sales-week', 'market-time-to-sell', 'market-archive-total', 'market-top-item']
+            .forEach(id => setText(id, '-'));
     }
 }
 
@@ -2656,8 +3071,8 @@ async function fetchDiscordMembersAnimated() {
     if (!discordEl) return;
     
     try {
-        // DonutSMP Discord invite code
-        const response = await fetch('https://discord.com/api/v9/invites/donutsmp?with_counts=true');
+        // Member counts from the DonutSMP Discord invite
+        const response = await fetch(`${API_BASE}/discord-invite`);
         const data = await response.json();
         
         if (data.approximate_member_count) {
@@ -2680,7 +3095,7 @@ async function fetchMinecraftServerStatusAnimated() {
     const versionEl = document.getElementById('server-version');
     
     try {
-        const response = await fetch('https://api.mcsrvstat.us/2/donutsmp.net');
+        const response = await fetch(`${API_BASE}/server-status`);
         const data = await response.json();
         
         if (data.online) {
@@ -2864,6 +3279,7 @@ async function initServerStatsPage() {
         fetchMinecraftServerStatus(),
         calculateAggregateStatsParallel(),
         loadAuctionCount(),
+        loadTransactionStats(),
         fetchDiscordStatsForServerPage()
     ]);
 }
@@ -2878,7 +3294,7 @@ async function fetchDiscordStatsForServerPage() {
     if (!membersEl && !onlineEl) return;
     
     try {
-        const response = await fetch('https://discord.com/api/v9/invites/donutsmp?with_counts=true');
+        const response = await fetch(`${API_BASE}/discord-invite`);
         const data = await response.json();
         
         if (data.approximate_member_count && membersEl) {
@@ -2988,7 +3404,7 @@ function updateStatWithAnimation(elementId, value, prefix = '') {
 }
 
 /**
- * Fetch Minecraft server status from mcsrvstat.us API
+ * Fetch Minecraft server status (mcsrvstat.us through /api/server-status)
  */
 async function fetchMinecraftServerStatus() {
     const statusEl = document.getElementById('server-status');
@@ -2997,7 +3413,7 @@ async function fetchMinecraftServerStatus() {
     const versionEl = document.getElementById('server-version');
     
     try {
-        const response = await fetch('https://api.mcsrvstat.us/2/donutsmp.net');
+        const response = await fetch(`${API_BASE}/server-status`);
         const data = await response.json();
         
         if (data.online) {
@@ -3346,7 +3762,14 @@ function updatePriceStats(meta, pagination) {
     
     if (totalItems) totalItems.textContent = meta.unique_items?.toLocaleString() || '--';
     if (totalListings) totalListings.textContent = meta.total_listings_scanned?.toLocaleString() || '--';
-    if (lastUpdated) lastUpdated.textContent = 'Just now';
+    if (lastUpdated) {
+        // Prices come from the latest full auction scan
+        const scan = meta.scan;
+        lastUpdated.textContent = scan ? formatTimeAgo(scan.scanned_at) : 'Waiting for first scan';
+        lastUpdated.title = scan
+            ? `${scan.pages} auction pages scanned${scan.complete ? '' : ' (partial scan)'}${scan.stale ? ' (scan is overdue)' : ''}`
+            : '';
+    }
 }
 
 function filterAndRenderPrices() {
@@ -3372,8 +3795,18 @@ function filterAndRenderPrices() {
                 return b.avg_price - a.avg_price;
             case 'avg_low':
                 return a.avg_price - b.avg_price;
+            case 'median_high':
+                return b.median_price - a.median_price;
+            case 'median_low':
+                return a.median_price - b.median_price;
+            case 'confidence':
+                return (b.sample_size || 0) - (a.sample_size || 0);
             case 'listings':
                 return b.listings - a.listings;
+            case 'sold_high':
+                return (b.sold?.avg_price_7d || 0) - (a.sold?.avg_price_7d || 0);
+            case 'sales':
+                return (b.sold?.sales_7d || 0) - (a.sold?.sales_7d || 0);
             case 'name':
             default:
                 return a.name.localeCompare(b.name);
@@ -3415,6 +3848,9 @@ function renderPrices() {
         </div>
     `;
     
+    // Sparklines come from the shared price history
+    loadPriceSparklines(pageItems);
+    
     // Render pagination
     if (totalPages > 1) {
         paginationContainer.innerHTML = `
@@ -3438,14 +3874,6 @@ function createPriceCard(item) {
     // Get item icon URL from Minecraft API
     const iconUrl = getItemImageUrl(item.id);
     
-    // Store price history for tracking
-    storePriceHistory(itemId, item.median_price);
-    
-    // Get price history and generate sparkline
-    const priceHistory = getPriceHistory(itemId);
-    const sparkline = generateSparkline(priceHistory);
-    const trend = calculatePriceTrend(priceHistory);
-    
     // Escape data for onclick
     const itemData = encodeURIComponent(JSON.stringify(item));
     
@@ -3459,11 +3887,11 @@ function createPriceCard(item) {
                     <h3>${itemName}</h3>
                     <span>${itemId}</span>
                 </div>
-                <div class="price-card-trend">
-                    ${sparkline}
-                    ${trend ? `<span class="price-trend ${trend.direction}">${trend.direction === 'up' ? '+' : ''}${trend.percentage}%</span>` : ''}
+                <div class="price-card-trend" data-item="${item.id}">
+                    <span class="sparkline-neutral">-</span>
                 </div>
             </div>
+            <div class="price-card-row-label">Listed</div>
             <div class="price-card-stats three-stats">
                 <div class="price-stat">
                     <span class="price-stat-label">Low</span>
@@ -3478,8 +3906,26 @@ function createPriceCard(item) {
                     <span class="price-stat-value max">${formatPriceValue(item.max_price)}</span>
                 </div>
             </div>
+            ${item.sold ? `
+                <div class="price-card-row-label">Sold</div>
+                <div class="price-card-stats three-stats">
+                    <div class="price-stat">
+                        <span class="price-stat-label">Last</span>
+                        <span class="price-stat-value sold">${formatPriceValue(item.sold.last_price)}</span>
+                    </div>
+                    <div class="price-stat" title="${item.sold.sales_24h} sale${item.sold.sales_24h !== 1 ? 's' : ''} in the last 24 hours">
+                        <span class="price-stat-label">24h Avg</span>
+                        <span class="price-stat-value sold">${formatPriceValue(item.sold.avg_price_24h)}</span>
+                    </div>
+                    <div class="price-stat" title="${item.sold.sales_7d} sale${item.sold.sales_7d !== 1 ? 's' : ''} in the last 7 days">
+                        <span class="price-stat-label">7d Avg</span>
+                        <span class="price-stat-value sold">${formatPriceValue(item.sold.avg_price_7d)}</span>
+                    </div>
+                </div>
+            ` : ''}
             <div class="price-card-footer">
-                <span class="price-card-listings">${item.listings} listing${item.listings !== 1 ? 's' : ''}</span>
+                <span class="price-card-listings">${item.listings} listing${item.listings !== 1 ? 's' : ''}${item.outliers ? ` · ${item.outliers} outlier${item.outliers !== 1 ? 's' : ''} ignored` : ''}${item.sold ? ` · ${item.sold.sell_through}% sold` : ''}</span>
+                ${item.confidence ? `<span class="price-confidence ${item.confidence}" title="Confidence based on listing count">${item.confidence}</span>` : ''}
                 <span class="price-card-view"><i class="bi bi-graph-up"></i> View Chart</span>
             </div>
         </div>
@@ -3523,6 +3969,8 @@ function changePricesPage(page) {
 
 // Price Chart Modal
 let priceChart = null;
+// Bumped by every chart load and by closing the modal, so late history responses are dropped
+let priceChartRequest = 0;
 
 function openPriceModal(itemDataEncoded) {
     try {
@@ -3541,6 +3989,7 @@ function openPriceModal(itemDataEncoded) {
         document.getElementById('modal-median-price').textContent = formatPriceValue(item.median_price);
         document.getElementById('modal-min-price').textContent = formatPriceValue(item.min_price);
         document.getElementById('modal-max-price').textContent = formatPriceValue(item.max_price);
+        renderSoldPrices(item);
         
         // Update icon with proper error handling
         const iconContainer = document.getElementById('modal-item-icon');
@@ -3558,6 +4007,9 @@ function openPriceModal(itemDataEncoded) {
         modal.classList.add('active');
         document.body.style.overflow = 'hidden';
         
+        // Variant and enchantment breakdown
+        renderPriceVariants(item);
+        
         // Create chart
         createPriceChart(item);
         
@@ -3566,6 +4018,98 @@ function openPriceModal(itemDataEncoded) {
     }
 }
 
+/**
+ * Fill the sold price stats in the price modal, next to the listing prices
+ */
+function renderSoldPrices(item) {
+    const section = document.getElementById('modal-sold-stats');
+    if (!section) return;
+    
+    section.hidden = !item.sold;
+    if (!item.sold) return;
+    
+    const sold = item.sold;
+    const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+    document.getElementById('modal-last-sold').textContent = formatPriceValue(sold.last_price);
+    document.getElementById('modal-last-sold-at').textContent = sold.last_sold_at ? new Date(sold.last_sold_at).toLocaleString() : 'No recent sales';
+    document.getElementById('modal-sold-24h').textContent = formatPriceValue(sold.avg_price_24h);
+    document.getElementById('modal-sales-24h').textContent = plural(sold.sales_24h, 'sale');
+    document.getElementById('modal-sold-7d').textContent = formatPriceValue(sold.avg_price_7d);
+    document.getElementById('modal-sales-7d').textContent = plural(sold.sales_7d, 'sale');
+    document.getElementById('modal-sell-through').textContent = `${sold.sell_through}%`;
+    
+    // How far the median asking price sits above (or below) what buyers paid this week
+    const premium = document.getElementById('modal-listing-premium');
+    if (sold.avg_price_7d && item.median_price) {
+        const percent = Math.round((item.median_price / sold.avg_price_7d - 1) * 100);
+        premium.textContent = `Listed ${Math.abs(percent)}% ${percent >= 0 ? 'above' : 'below'} sold`;
+    } else {
+        premium.textContent = 'Of the last day\'s listings';
+    }
+}
+
+/**
+ * Enchantment display name with a roman numeral level (sharpness, 5 -> Sharpness V)
+ */
+function formatEnchantment(name, level) {
+    const numerals = ['', 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'];
+    const label = name.replace(/_/g, ' ').split(' ').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+    return `${label} ${numerals[level] || level}`;
+}
+
+/**
+ * Render the per-variant prices and what each enchantment adds in the price modal
+ */
+function renderPriceVariants(item) {
+    const container = document.getElementById('modal-variants');
+    if (!container) return;
+    
+    const variants = item.variants || [];
+    const enchantValues = item.enchantment_values || [];
+    
+    // A single plain variant adds nothing over the summary stats
+    if (variants.length <= 1 && enchantValues.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const variantLabel = (variant) => {
+        const parts = [
+            ...Object.entries(variant.enchantments).map(([name, level]) => formatEnchantment(name, level)),
+            ...variant.lore.map(tag => tag.replace(':', ': ').replace(/_/g, ' '))
+        ];
+        return parts.length ? parts.join(', ') : 'No enchantments';
+    };
+    
+    container.innerHTML = `
+        ${enchantValues.length > 0 ? `
+            <div class="modal-section">
+                <h4><i class="bi bi-stars"></i> Enchantment Value</h4>
+                <div class="enchant-tags">
+                    ${enchantValues.map(value => `
+                        <span class="enchant-tag" title="${value.listings} listing${value.listings !== 1 ? 's' : ''} with this enchantment">
+                            <i class="bi bi-stars"></i> ${formatEnchantment(value.enchantment, value.level)}
+                            <strong class="${value.added_price >= 0 ? 'positive' : 'negative'}">${value.added_price >= 0 ? '+' : '-'}${formatPriceValue(Math.abs(value.added_price))}</strong>
+                        </span>
+                    `).join('')}
+                </div>
+            </div>
+        ` : ''}
+        <div class="modal-section">
+            <h4><i class="bi bi-layers"></i> Variants</h4>
+            <div class="price-variant-list">
+                ${variants.map(variant => `
+                    <div class="price-variant-row">
+                        <span class="price-variant-name">${variantLabel(variant)}</span>
+                        <span class="price-variant-listings">${variant.listings} listing${variant.listings !== 1 ? 's' : ''}</span>
+                        <span class="price-variant-price">${formatPriceValue(variant.median_price)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
 function closePriceModal() {
     const modal = document.getElementById('price-chart-modal');
     if (modal) {
@@ -3573,66 +4117,104 @@ function closePriceModal() {
         document.body.style.overflow = '';
     }
     
-    // Destroy chart
+    // Destroy chart and drop any history request still loading
+    priceChartRequest++;
     if (priceChart) {
         priceChart.destroy();
         priceChart = null;
     }
 }
 
-function createPriceChart(item) {
+/**
+ * Draw the price history chart for an item: OHLC candles of the median per-unit price and listing volume
+ */
+async function createPriceChart(item, range = '7d') {
     const canvas = document.getElementById('price-chart');
+    const empty = document.getElementById('price-chart-empty');
     if (!canvas) return;
-    
+    const request = ++priceChartRequest;
+
     // Destroy existing chart
     if (priceChart) {
         priceChart.destroy();
+        priceChart = null;
     }
-    
+
+    // Highlight the selected range and wire up the buttons for this item
+    document.querySelectorAll('#price-chart-ranges .price-range-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.range === range);
+        btn.onclick = () => createPriceChart(item, btn.dataset.range);
+    });
+
+    let candles = [];
+    try {
+        const data = await apiRequest('prices/history', { item: item.id, range, format: 'candles' });
+        candles = data.result?.items?.[item.id] || [];
+    } catch (error) {
+        console.error('Error loading price history:', error);
+    }
+
+    // The modal may have been closed, switched item or switched range while loading
+    const modal = document.getElementById('price-chart-modal');
+    if (request !== priceChartRequest || !modal?.classList.contains('active')) return;
+
+    if (candles.length === 0) {
+        canvas.style.display = 'none';
+        if (empty) empty.hidden = false;
+        return;
+    }
+    canvas.style.display = '';
+    if (empty) empty.hidden = true;
+
     const ctx = canvas.getContext('2d');
-    
-    // Generate simulated price history based on current data
-    // Since we don't have historical data, we'll show a price range visualization
-    const labels = ['Min', 'Q1', 'Median', 'Q3', 'Max'];
-    
-    // Calculate quartile values
-    const min = item.min_price;
-    const max = item.max_price;
-    const median = item.median_price;
-    const avg = item.avg_price;
-    
-    // Estimate Q1 and Q3
-    const q1 = min + (median - min) * 0.5;
-    const q3 = median + (max - median) * 0.5;
-    
-    const data = [min, q1, median, q3, max];
-    
+
+    const labels = candles.map(c => {
+        const date = new Date(c.time);
+        return range === '24h' || range === '7d'
+            ? date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+            : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+    });
+    const colors = candles.map(c => c.close >= c.open ? '#22c55e' : '#ef4444');
+
+    // Only one chart may own the canvas
+    if (priceChart) {
+        priceChart.destroy();
+        priceChart = null;
+    }
+
     priceChart = new Chart(ctx, {
-        type: 'line',
+        type: 'bar',
         data: {
             labels: labels,
             datasets: [
                 {
-                    label: 'Price Distribution',
-                    data: data,
-                    borderColor: '#2E8AFF',
-                    backgroundColor: 'rgba(46, 138, 255, 0.1)',
-                    fill: true,
-                    tension: 0.4,
-                    pointBackgroundColor: '#2E8AFF',
-                    pointBorderColor: '#fff',
-                    pointBorderWidth: 2,
-                    pointRadius: 6,
-                    pointHoverRadius: 8,
+                    label: 'High / Low',
+                    data: candles.map(c => [c.low, c.high]),
+                    backgroundColor: colors,
+                    barThickness: 2,
+                    grouped: false,
+                    minBarLength: 1,
+                    yAxisID: 'y',
+                    order: 1
+                },
+                {
+                    label: 'Open / Close',
+                    data: candles.map(c => [Math.min(c.open, c.close), Math.max(c.open, c.close)]),
+                    backgroundColor: colors,
+                    maxBarThickness: 14,
+                    grouped: false,
+                    minBarLength: 2,
+                    yAxisID: 'y',
+                    order: 0
                 },
                 {
-                    label: 'Average',
-                    data: [avg, avg, avg, avg, avg],
-                    borderColor: '#10B981',
-                    borderDash: [5, 5],
-                    borderWidth: 2,
-                    pointRadius: 0,
-                    fill: false,
+                    label: 'Listings',
+                    data: candles.map(c => c.volume),
+                    backgroundColor: 'rgba(46, 138, 255, 0.25)',
+                    maxBarThickness: 14,
+                    grouped: false,
+                    yAxisID: 'volume',
+                    order: 2
                 }
             ]
         },
@@ -3641,17 +4223,7 @@ function createPriceChart(item) {
             maintainAspectRatio: false,
             plugins: {
                 legend: {
-                    display: true,
-                    position: 'top',
-                    labels: {
-                        color: '#94a3b8',
-                        font: {
-                            family: 'Poppins',
-                            size: 12
-                        },
-                        usePointStyle: true,
-                        pointStyle: 'circle'
-                    }
+                    display: false
                 },
                 tooltip: {
                     backgroundColor: 'rgba(15, 23, 42, 0.95)',
@@ -3660,10 +4232,20 @@ function createPriceChart(item) {
                     borderColor: 'rgba(255, 255, 255, 0.1)',
                     borderWidth: 1,
                     padding: 12,
-                    displayColors: true,
+                    displayColors: false,
+                    filter: (context) => context.datasetIndex !== 0,
                     callbacks: {
                         label: function(context) {
-                            return context.dataset.label + ': ' + formatPriceValue(context.raw);
+                            const candle = candles[context.dataIndex];
+                            if (context.dataset.yAxisID === 'volume') {
+                                return `Listings: ${candle.volume}`;
+                            }
+                            return [
+                                `Open: ${formatPriceValue(candle.open)}`,
+                                `High: ${formatPriceValue(candle.high)}`,
+                                `Low: ${formatPriceValue(candle.low)}`,
+                                `Close: ${formatPriceValue(candle.close)}`
+                            ];
                         }
                     }
                 }
@@ -3676,6 +4258,8 @@ function createPriceChart(item) {
                     },
                     ticks: {
                         color: '#64748b',
+                        maxRotation: 0,
+                        autoSkip: true,
                         font: {
                             family: 'Poppins',
                             size: 11
@@ -3683,6 +4267,8 @@ function createPriceChart(item) {
                     }
                 },
                 y: {
+                    position: 'left',
+                    grace: '10%',
                     grid: {
                         color: 'rgba(255, 255, 255, 0.05)',
                         drawBorder: false
@@ -3697,6 +4283,20 @@ function createPriceChart(item) {
                             return formatPriceValue(value);
                         }
                     }
+                },
+                volume: {
+                    position: 'right',
+                    beginAtZero: true,
+                    // Keep volume bars in the lower third of the chart
+                    afterDataLimits: (scale) => {
+                        scale.max = scale.max * 3;
+                    },
+                    grid: {
+                        display: false
+                    },
+                    ticks: {
+                        display: false
+                    }
                 }
             },
             interaction: {
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockUpstream, invoke, loadHandler } = require('./harness.js');
+
+let mock;
+let scanner;
+
+test.before(async () => {
+    mock = await startMockUpstream({ env: { CRON_SECRET: 'cron-secret' } });
+    scanner = loadHandler('_lib/auctionscan');
+});
+
+test.after(() => mock.close());
+
+const serverError = { status: 500, body: { message: 'Internal error', status: 500 } };
+
+test('deals: empty and stale before the first scan, without crawling', async () => {
+    const res = await invoke('auction/deals', { query: { min_confidence: 'low' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body.result, []);
+    assert.strictEqual(res.body.meta.scan, null);
+    assert.strictEqual(res.body.meta.stale, true);
+    assert.strictEqual(mock.requests.length, 0);
+});
+
+test('scan: walks pages until the first empty page', async () => {
+    const scan = await scanner.scanAuctionHouse();
+    assert.strictEqual(scan.complete, true);
+    assert.strictEqual(scan.pages, 3);
+    assert.strictEqual(scan.listings.length, 108);
+    assert.strictEqual(scan.stop_reason, null);
+    assert.deepStrictEqual(scan.failed_pages, []);
+});
+
+test('scan: stops at the page limit and is incomplete', async () => {
+    const scan = await scanner.scanAuctionHouse({ maxPages: 2, concurrency: 1 });
+    assert.strictEqual(scan.complete, false);
+    assert.strictEqual(scan.pages, 2);
+    assert.strictEqual(scan.stop_reason, 'page_limit');
+});
+
+test('scan: failed pages make the scan incomplete', async () => {
+    mock.overrides['/v1/auction/list/2'] = serverError;
+    try {
+        const scan = await scanner.scanAuctionHouse();
+        assert.strictEqual(scan.complete, false);
+        assert.deepStrictEqual(scan.failed_pages, [2]);
+        assert.strictEqual(scan.listings.length, 64);
+    } finally {
+        delete mock.overrides['/v1/auction/list/2'];
+    }
+});
+
+test('scan: an incomplete scan does not replace a complete one', async () => {
+    const complete = await scanner.runAuctionScan();
+    assert.strictEqual(complete.complete, true);
+
+    mock.overrides['/v1/auction/list/3'] = serverError;
+    try {
+        const served = await scanner.runAuctionScan();
+        assert.strictEqual(served.id, complete.id);
+        assert.strictEqual(served.listings.length, 108);
+    } finally {
+        delete mock.overrides['/v1/auction/list/3'];
+    }
+});
+
+test('cron: auction scan requires the cron secret', async () => {
+    const denied = await invoke('cron/auction', {});
+    assert.strictEqual(denied.statusCode, 401);
+
+    const res = await invoke('cron/auction', { headers: { authorization: 'Bearer cron-secret' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.result.listings, 108);
+    assert.strictEqual(res.body.result.complete, true);
+});
+
+test('prices: serve the latest scan with coverage metadata', async () => {
+    const before = mock.requests.length;
+    const res = await invoke('prices', { query: {} });
+    assert.strictEqual(res.body.meta.total_listings_scanned, 108);
+    assert.strictEqual(res.body.meta.scan.pages, 3);
+    assert.strictEqual(res.body.meta.scan.complete, true);
+    // The stored scan is fresh, so no new pages were fetched
+    assert.strictEqual(mock.requests.length, before);
+});
+
+test('deals: ranks underpriced listings by discount', async () => {
+    const res = await invoke('auction/deals', { query: { min_confidence: 'low' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.meta.stale, false);
+
+    const deals = res.body.result;
+    assert.ok(deals.length > 0);
+    const discounts = deals.map(deal => deal.discount);
+    assert.deepStrictEqual(discounts, [...discounts].sort((a, b) => b - a));
+    for (const deal of deals) {
+        assert.ok(deal.unit_price < deal.reference_price);
+        assert.ok(deal.profit > 0);
+    }
+
+    // Filled shulker boxes are compared against their contents
+    assert.ok(deals.some(deal => deal.kind === 'contents' && deal.key === 'minecraft:shulker_box'));
+});
+
+test('deals: compares enchanted items against the same variant', () => {
+    const { findDeals } = loadHandler('_lib/deals');
+    const { aggregatePrices } = loadHandler('_lib/pricing');
+    const sword = (price, enchants = {}) => ({
+        item: { id: 'minecraft:diamond_sword', count: 1, enchants: { enchantments: { levels: enchants } } },
+        price
+    });
+    const listings = [
+        sword(100), sword(110), sword(120),
+        sword(1000, { 'minecraft:sharpness': 5 }), sword(1100, { 'minecraft:sharpness': 5 }), sword(600, { 'minecraft:sharpness': 5 })
+    ];
+
+    const deals = findDeals(listings, aggregatePrices(listings));
+    const sharp = deals.find(deal => deal.key === 'minecraft:diamond_sword[sharpness=5]');
+    assert.strictEqual(sharp.reference_price, 1000);
+    assert.strictEqual(sharp.unit_price, 600);
+    assert.strictEqual(sharp.discount, 40);
+    // A cheap Sharpness V sword is not a deal just because it costs more than a plain one
+    assert.ok(deals.every(deal => deal.listing.price !== 1000 && deal.listing.price !== 1100));
+});
+
+test('deals: applies confidence, profit and discount filters', async () => {
+    const all = await invoke('auction/deals', { query: { min_confidence: 'low' } });
+    const high = await invoke('auction/deals', { query: { min_confidence: 'high' } });
+    assert.ok(high.body.result.every(deal => deal.confidence === 'high'));
+    assert.ok(high.body.pagination.total_items < all.body.pagination.total_items);
+
+    const profitable = await invoke('auction/deals', { query: { min_confidence: 'low', min_profit: '100000', min_discount: '50' } });
+    assert.ok(profitable.body.result.length > 0);
+    assert.ok(profitable.body.result.every(deal => deal.profit >= 100000 && deal.discount >= 50));
+
+    const invalid = await invoke('auction/deals', { query: { min_confidence: 'certain' } });
+    assert.strictEqual(invalid.statusCode, 400);
+});
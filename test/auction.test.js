@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockUpstream, invoke, loadHandler } = require('./harness.js');
+
+let mock;
+
+test.before(async () => {
+    mock = await startMockUpstream();
+});
+
+test.after(() => mock.close());
+
+test('auction: rejects invalid sort options', async () => {
+    const res = await invoke('auction', { query: { sort: 'cheapest' } });
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.reason, 'Invalid Parameter');
+    assert.match(res.body.message, /lowest_price/);
+});
+
+test('auction: lists a page of listings', async () => {
+    const res = await invoke('auction', { query: { page: '1' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.result.length, 44);
+    assert.ok(res.body.result[0].item.id);
+});
+
+test('auction: sends search and sort as the request body', async () => {
+    const res = await invoke('auction', { query: { page: '2', search: 'totem', sort: 'LOWEST_PRICE' } });
+    assert.strictEqual(res.statusCode, 200);
+
+    const request = mock.requests.find(r => r.path === '/v1/auction/list/2' && r.body);
+    assert.strictEqual(request.method, 'GET');
+    assert.deepStrictEqual(JSON.parse(request.body), { search: 'totem', sort: 'lowest_price' });
+});
+
+test('auction: caches search results separately from plain pages', async () => {
+    await invoke('auction', { query: { page: '3' } });
+    const searched = await invoke('auction', { query: { page: '3', search: 'elytra' } });
+    assert.strictEqual(searched.headers['x-cache'], 'MISS');
+});
+
+test('auction: shulker boxes are valued once a scan exists', async () => {
+    const before = await invoke('auction', { query: { page: '2' } });
+    assert.ok(before.body.result.every(listing => !listing.valuation));
+
+    await loadHandler('_lib/auctionscan').runAuctionScan();
+
+    const res = await invoke('auction', { query: { page: '2' } });
+    const filled = res.body.result.filter(listing => listing.item.contents?.length);
+    assert.ok(filled.length > 0);
+    for (const listing of filled) {
+        const { valuation } = listing;
+        assert.strictEqual(valuation.asking_price, listing.price);
+        assert.strictEqual(valuation.difference, valuation.contents_value - listing.price);
+        assert.strictEqual(valuation.stacks[0].id, 'minecraft:totem_of_undying');
+        assert.strictEqual(valuation.stacks[0].count, listing.item.contents.length);
+    }
+    assert.ok(res.body.result.filter(listing => !listing.item.contents?.length).every(listing => !listing.valuation));
+});
+
+test('valuation: prices stacks by variant and reports unpriced items', () => {
+    const { valueContents } = loadHandler('_lib/valuation');
+    const index = { 'minecraft:diamond': 100, 'minecraft:diamond_sword': 50, 'minecraft:diamond_sword[sharpness=5]': 400 };
+
+    const valuation = valueContents([
+        { id: 'minecraft:diamond', count: 64 },
+        { id: 'minecraft:diamond', count: 10 },
+        { id: 'minecraft:diamond_sword', count: 1, enchants: { enchantments: { levels: { 'minecraft:sharpness': 5 } } } },
+        { id: 'minecraft:diamond_sword', count: 1, enchants: { enchantments: { levels: { 'minecraft:smite': 5 } } } },
+        { id: 'minecraft:dragon_egg', count: 1 }
+    ], index);
+
+    assert.strictEqual(valuation.contents_value, 7400 + 400 + 50);
+    assert.deepStrictEqual(valuation.unpriced, ['minecraft:dragon_egg']);
+    assert.strictEqual(valuation.stacks.find(stack => stack.id === 'minecraft:diamond').count, 74);
+});
+
+test('prices: filled shulker boxes are left out of the shulker box price', () => {
+    const { aggregatePrices } = loadHandler('_lib/pricing');
+    const listings = [1, 2, 3].flatMap(page => require(`../dev/fixtures/donutsmp/auction/list/${page}.json`).body.result);
+    const shulker = aggregatePrices(listings).find(item => item.id === 'minecraft:shulker_box');
+
+    assert.strictEqual(shulker.listings, 4);
+    assert.ok(shulker.max_price < 40000);
+});
+
+test('transactions: clamps page to 1-10', async () => {
+    const res = await invoke('transactions', { query: { page: '50' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.ok(mock.requests.some(r => r.path === '/v1/auction/transactions/10'));
+});
+
+test('transactions: forwards sales', async () => {
+    const res = await invoke('transactions', { query: {} });
+    assert.strictEqual(res.statusCode, 200);
+    assert.ok(res.body.result[0].unixMillisDateSold);
+});
+
+test('transactions: rejects non-GET methods', async () => {
+    const res = await invoke('transactions', { method: 'DELETE' });
+    assert.strictEqual(res.statusCode, 405);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { createCache, createMemoryBackend, createFileBackend, getCachePolicy, cacheHeaders } = require('../api/_lib/cache.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('getCachePolicy matches endpoints to TTLs', () => {
+    assert.deepStrictEqual(getCachePolicy('/leaderboards/money/1'), { ttl: 300, swr: 900 });
+    assert.deepStrictEqual(getCachePolicy('/stats/Notch'), { ttl: 60, swr: 300 });
+    assert.deepStrictEqual(getCachePolicy('/unknown'), { ttl: 30, swr: 60 });
+});
+
+for (const [name, makeBackend] of [
+    ['memory', () => createMemoryBackend()],
+    ['file', () => createFileBackend(path.join(os.tmpdir(), `donut-cache-test-${process.pid}`))]
+]) {
+    test(`${name} backend: miss, hit, stale then revalidated`, async () => {
+        const cache = createCache(makeBackend());
+        const policy = { ttl: 0.05, swr: 5 };
+        let loads = 0;
+        const loader = async () => ++loads;
+
+        assert.strictEqual((await cache.fetch('key', policy, loader)).status, 'MISS');
+        const hit = await cache.fetch('key', policy, loader);
+        assert.strictEqual(hit.status, 'HIT');
+        assert.strictEqual(hit.value, 1);
+
+        await sleep(80);
+        const stale = await cache.fetch('key', policy, loader);
+        assert.strictEqual(stale.status, 'STALE');
+        assert.strictEqual(stale.value, 1);
+
+        await sleep(20);
+        assert.strictEqual((await cache.fetch('key', policy, loader)).value, 2);
+        await cache.clear();
+    });
+}
+
+test('cache skips values the policy marks uncacheable', async () => {
+    const cache = createCache(createMemoryBackend());
+    const policy = { ttl: 60, swr: 60, cacheable: (value) => value.ok };
+    await cache.fetch('key', policy, async () => ({ ok: false }));
+    assert.strictEqual((await cache.fetch('key', policy, async () => ({ ok: true }))).status, 'MISS');
+    assert.strictEqual((await cache.fetch('key', policy, async () => ({ ok: true }))).status, 'HIT');
+});
+
+test('cache bypasses when no policy is given', async () => {
+    const cache = createCache(createMemoryBackend());
+    assert.strictEqual((await cache.fetch('key', null, async () => 1)).status, 'BYPASS');
+});
+
+test('memory backend evicts least recently used entries', async () => {
+    const backend = createMemoryBackend(2);
+    await backend.set('a', 1);
+    await backend.set('b', 2);
+    await backend.get('a');
+    await backend.set('c', 3);
+    assert.strictEqual(await backend.get('b'), null);
+    assert.strictEqual(await backend.get('a'), 1);
+});
+
+test('cacheHeaders describes the cache status', () => {
+    assert.deepStrictEqual(cacheHeaders('HIT', 12, { ttl: 60, swr: 300 }), {
+        'X-Cache': 'HIT',
+        'Age': '12',
+        'Cache-Control': 'public, s-maxage=60, stale-while-revalidate=300'
+    });
+    assert.strictEqual(cacheHeaders('MISS')['Cache-Control'], 'no-store');
+});
+
+test('file backend: concurrent writes of one key never share a temp file', async () => {
+    const backend = createFileBackend(path.join(os.tmpdir(), `donut-cache-race-${process.pid}`));
+    const writes = Array.from({ length: 20 }, (_, i) => backend.set('key', { value: i, storedAt: 0, freshUntil: 0, staleUntil: 0 }));
+    await Promise.all(writes);
+    assert.ok((await backend.get('key')).value >= 0);
+    await backend.clear();
+});
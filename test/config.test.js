@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sanitizeInput, isValidUsername, validatePage, handleCors, sendResponse } = require('../api/config.js');
+const { createRequest, createResponse } = require('./harness.js');
+
+test('sanitizeInput trims, strips tags and truncates', () => {
+    assert.strictEqual(sanitizeInput('  Notch  '), 'Notch');
+    assert.strictEqual(sanitizeInput('<b>Notch</b>'), 'Notch');
+    assert.strictEqual(sanitizeInput('a'.repeat(150)).length, 100);
+    assert.strictEqual(sanitizeInput(undefined), '');
+    assert.strictEqual(sanitizeInput(['Notch']), '');
+});
+
+test('isValidUsername accepts Minecraft usernames only', () => {
+    assert.ok(isValidUsername('Notch'));
+    assert.ok(isValidUsername('jeb_'));
+    assert.ok(isValidUsername('A'));
+    assert.ok(isValidUsername('a'.repeat(16)));
+    assert.ok(!isValidUsername(''));
+    assert.ok(!isValidUsername('a'.repeat(17)));
+    assert.ok(!isValidUsername('bad name'));
+    assert.ok(!isValidUsername('../etc'));
+});
+
+test('validatePage clamps to min and max', () => {
+    assert.strictEqual(validatePage('3'), 3);
+    assert.strictEqual(validatePage(undefined), 1);
+    assert.strictEqual(validatePage('abc'), 1);
+    assert.strictEqual(validatePage('-5'), 1);
+    assert.strictEqual(validatePage('0', 1, 0), 1);
+    assert.strictEqual(validatePage('50', 1, 10), 10);
+    assert.strictEqual(validatePage('5000', 1, 0), 5000);
+});
+
+test('handleCors answers OPTIONS preflight', () => {
+    const res = createResponse();
+    assert.strictEqual(handleCors(createRequest({ method: 'OPTIONS' }), res), true);
+    assert.strictEqual(res.statusCode, 200);
+    assert.ok(res.ended);
+    assert.strictEqual(res.headers['access-control-allow-origin'], '*');
+    assert.match(res.headers['access-control-allow-methods'], /OPTIONS/);
+});
+
+test('handleCors ignores other methods', () => {
+    const res = createResponse();
+    assert.strictEqual(handleCors(createRequest({ method: 'GET' }), res), false);
+    assert.ok(!res.ended);
+});
+
+test('sendResponse sets CORS, content type and extra headers', () => {
+    const res = createResponse();
+    sendResponse(res, { ok: true }, 201, { 'X-Cache': 'HIT' });
+    assert.strictEqual(res.statusCode, 201);
+    assert.deepStrictEqual(res.body, { ok: true });
+    assert.strictEqual(res.headers['content-type'], 'application/json');
+    assert.strictEqual(res.headers['access-control-allow-origin'], '*');
+    assert.strictEqual(res.headers['x-cache'], 'HIT');
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { compilePattern, matchPattern, rewritePath, resolveHandler, buildQuery } = require('../dev/server.js');
+
+const rewrites = [
+    { source: '/api/:path*', destination: '/api/:path*' },
+    { source: '/:path*', destination: '/public/:path*' }
+].map(rule => ({ ...rule, compiled: compilePattern(rule.source) }));
+
+test('rewritePath applies vercel.json rewrites in order', () => {
+    assert.strictEqual(rewritePath(rewrites, '/api/stats'), '/api/stats');
+    assert.strictEqual(rewritePath(rewrites, '/stats.html'), '/public/stats.html');
+    assert.strictEqual(rewritePath(rewrites, '/'), '/public/');
+});
+
+test('matchPattern supports regex groups from headers rules', () => {
+    const compiled = compilePattern('/api/(.*)');
+    assert.deepStrictEqual(matchPattern(compiled, '/api/stats'), { 0: 'stats' });
+    assert.strictEqual(matchPattern(compiled, '/stats.html'), null);
+});
+
+test('resolveHandler maps routes to api files and hides private modules', () => {
+    assert.strictEqual(resolveHandler('/api/stats'), path.join(__dirname, '..', 'api', 'stats.js'));
+    assert.strictEqual(resolveHandler('/api/_lib/cache'), null);
+    assert.strictEqual(resolveHandler('/api/missing'), null);
+});
+
+test('buildQuery turns repeated keys into arrays, including inherited object names', () => {
+    assert.deepStrictEqual(buildQuery(new URLSearchParams('user=a&type=money&user=b')), { user: ['a', 'b'], type: 'money' });
+    assert.deepStrictEqual(buildQuery(new URLSearchParams('constructor=x&toString=y')), { constructor: 'x', toString: 'y' });
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockUpstream, invoke, loadHandler } = require('./harness.js');
+
+let mock;
+let keys;
+let createTestKeys, signInteraction, commandInteraction, pingInteraction;
+
+test.before(async () => {
+    mock = await startMockUpstream();
+    // The generator loads the API config, so it must come after the mock sets the environment
+    ({ createTestKeys, signInteraction, commandInteraction, pingInteraction } = require('../dev/discord-interaction.js'));
+    keys = createTestKeys();
+    process.env.DISCORD_PUBLIC_KEY = keys.publicKey;
+});
+
+test.after(() => mock.close());
+
+/**
+ * POST a signed interaction to the route
+ */
+function send(interaction, { privateKey = keys.privateKey, timestamp } = {}) {
+    const signed = signInteraction(interaction, privateKey, timestamp);
+    return invoke('discord/interactions', { method: 'POST', headers: signed.headers, body: signed.body });
+}
+
+test('interactions: requests must carry a valid signature', async () => {
+    const unsigned = await invoke('discord/interactions', { method: 'POST', headers: {}, body: JSON.stringify(pingInteraction()) });
+    assert.strictEqual(unsigned.statusCode, 401);
+
+    const otherKey = await send(pingInteraction(), { privateKey: createTestKeys().privateKey });
+    assert.strictEqual(otherKey.statusCode, 401);
+
+    const stale = await send(pingInteraction(), { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+    assert.strictEqual(stale.statusCode, 401);
+
+    // A body changed after signing fails too
+    const signed = signInteraction(pingInteraction(), keys.privateKey);
+    const tampered = await invoke('discord/interactions', {
+        method: 'POST',
+        headers: signed.headers,
+        body: signed.body.replace('"type":1', '"type":2')
+    });
+    assert.strictEqual(tampered.statusCode, 401);
+});
+
+test('interactions: answers PING with PONG', async () => {
+    const res = await send(pingInteraction());
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body, { type: 1 });
+});
+
+test('interactions: a parsed JSON body is refused', async () => {
+    // The signature covers Discord's exact bytes, which can't be recovered from parsed JSON
+    const signed = signInteraction(pingInteraction(), keys.privateKey);
+    const res = await invoke('discord/interactions', { method: 'POST', headers: signed.headers, body: JSON.parse(signed.body) });
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(loadHandler('discord/interactions').config.api.bodyParser, false);
+});
+
+test('interactions: /stats replies with a player embed', async () => {
+    const res = await send(commandInteraction('stats', { user: 'DonutKing' }));
+    assert.strictEqual(res.body.type, 4);
+
+    const [embed] = res.body.data.embeds;
+    assert.strictEqual(embed.title, "DonutKing's stats");
+    assert.deepStrictEqual(embed.fields.find(field => field.name === 'Money').value, '$875.8M');
+    assert.deepStrictEqual(embed.fields.find(field => field.name === 'Playtime').value, '14d 14h');
+});
+
+test('interactions: errors are ephemeral replies', async () => {
+    const unknownPlayer = await send(commandInteraction('stats', { user: 'NobodyHere' }));
+    assert.strictEqual(unknownPlayer.body.data.content, 'This user does not exist.');
+    assert.strictEqual(unknownPlayer.body.data.flags, 64);
+
+    const invalid = await send(commandInteraction('stats', { user: 'not valid!' }));
+    assert.strictEqual(invalid.body.data.flags, 64);
+
+    const unknownCommand = await send(commandInteraction('teleport', {}));
+    assert.strictEqual(unknownCommand.body.data.content, 'Unknown command: teleport');
+
+    // Inherited object keys are not commands
+    const inherited = await send(commandInteraction('constructor', {}));
+    assert.strictEqual(inherited.body.data.content, 'Unknown command: constructor');
+});
+
+test('interactions: a slow upstream is answered before Discord\'s deadline', async () => {
+    mock.overrides['/v1/stats/SlowPlayer'] = { status: 200, body: { result: {} }, delay: 2600 };
+    try {
+        const started = Date.now();
+        const res = await send(commandInteraction('stats', { user: 'SlowPlayer' }));
+        assert.ok(Date.now() - started < 2600);
+        assert.strictEqual(res.body.data.flags, 64);
+        assert.strictEqual(mock.requests.filter(r => r.path === '/v1/stats/SlowPlayer').length, 1);
+    } finally {
+        delete mock.overrides['/v1/stats/SlowPlayer'];
+    }
+});
+
+test('interactions: /lb lists the top of a leaderboard', async () => {
+    const res = await send(commandInteraction('lb', { type: 'money' }));
+    const [embed] = res.body.data.embeds;
+    assert.strictEqual(embed.title, 'Money leaderboard');
+    assert.strictEqual(embed.description.split('\n').length, 10);
+    assert.strictEqual(embed.description.split('\n')[0], '**#1** ObbyWall - 897.6M');
+});
+
+test('interactions: /price looks items up in the price guide', async () => {
+    const early = await send(commandInteraction('price', { item: 'netherite sword' }));
+    assert.match(early.body.data.content, /not available yet/);
+
+    await loadHandler('_lib/auctionscan').runAuctionScan();
+
+    const res = await send(commandInteraction('price', { item: 'netherite sword' }));
+    const [embed] = res.body.data.embeds;
+    assert.strictEqual(embed.title, 'Netherite Sword price');
+    assert.ok(embed.fields.some(field => field.name === 'Top variants'));
+
+    const missing = await send(commandInteraction('price', { item: 'bedrock' }));
+    assert.strictEqual(missing.body.data.content, 'No listings found for "bedrock".');
+});
+
+test('interactions: /ah searches the auction house cheapest first', async () => {
+    const before = mock.requests.length;
+    const res = await send(commandInteraction('ah', { search: 'pearl' }));
+    const [embed] = res.body.data.embeds;
+    assert.strictEqual(embed.title, 'Auction house: pearl');
+    assert.ok(embed.description.split('\n').length <= 8);
+
+    const request = mock.requests.slice(before).find(r => r.path === '/v1/auction/list/1');
+    assert.deepStrictEqual(JSON.parse(request.body), { search: 'pearl', sort: 'lowest_price' });
+});
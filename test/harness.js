@@ -0,0 +1,107 @@
+// Test harness - runs api/ handlers with fake Vercel req/res objects against the mock upstream
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockUpstream, serviceEnv } = require('../dev/mock-upstream.js');
+
+const API_DIR = path.join(__dirname, '..', 'api');
+
+/**
+ * Start the mock upstream on a free port and point the API config at it.
+ * Must run before the first handler is loaded - config.js reads env at load time.
+ */
+async function startMockUpstream({ overrides = {}, env = {} } = {}) {
+    const server = createMockUpstream({ overrides });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    Object.assign(process.env, {
+        ...serviceEnv(`http://127.0.0.1:${port}`),
+        DONUT_API_KEY: 'test-key',
+        CACHE_BACKEND: 'memory',
+        UPSTREAM_LOG: 'off',
+        UPSTREAM_TIMEOUT: '1000',
+        UPSTREAM_RATE_PER_MINUTE: '60000',
+        UPSTREAM_BURST: '1000',
+        DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'donut-tracker-test-')),
+        ...env
+    });
+
+    return {
+        server,
+        overrides,
+        requests: server.requests,
+        close() {
+            server.closeAllConnections();
+            fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+/**
+ * Load an api/ handler by route name (e.g. 'stats', 'leaderboard')
+ */
+function loadHandler(name) {
+    return require(path.join(API_DIR, name + '.js'));
+}
+
+/**
+ * Fake Vercel request
+ */
+function createRequest({ method = 'GET', query = {}, headers = {}, body } = {}) {
+    return { method, query, headers, body };
+}
+
+/**
+ * Fake Vercel response recording status, headers and body
+ */
+function createResponse() {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        ended: false,
+
+        setHeader(name, value) {
+            res.headers[name.toLowerCase()] = value;
+            return res;
+        },
+        getHeader(name) {
+            return res.headers[name.toLowerCase()];
+        },
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(data) {
+            res.body = data;
+            res.ended = true;
+            return res;
+        },
+        send(data) {
+            res.body = data;
+            res.ended = true;
+            return res;
+        },
+        end(data) {
+            if (data !== undefined) res.body = data;
+            res.ended = true;
+            return res;
+        }
+    };
+    return res;
+}
+
+/**
+ * Invoke a handler (name or function) and return the finished response
+ */
+async function invoke(handler, request = {}) {
+    const fn = typeof handler === 'string' ? loadHandler(handler) : handler;
+    const res = createResponse();
+    await fn(createRequest(request), res);
+    return res;
+}
+
+module.exports = { API_DIR, startMockUpstream, loadHandler, createRequest, createResponse, invoke };
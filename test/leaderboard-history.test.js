@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const path = require('path');
+const { startMockUpstream, invoke, loadHandler } = require('./harness.js');
+
+let mock;
+let snapshotLeaderboards;
+
+test.before(async () => {
+    mock = await startMockUpstream({ env: { CRON_SECRET: 'cron-secret' } });
+    ({ snapshotLeaderboards } = loadHandler('_lib/leaderboards'));
+});
+
+test.after(() => mock.close());
+
+const HOUR = 3600000;
+
+test('cron: requires the cron secret', async () => {
+    const res = await invoke('cron/leaderboards', { headers: { authorization: 'Bearer wrong' } });
+    assert.strictEqual(res.statusCode, 401);
+});
+
+test('cron: snapshots every leaderboard type', async () => {
+    const res = await invoke('cron/leaderboards', { headers: { authorization: 'Bearer cron-secret' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['cache-control'], 'no-store');
+
+    const types = res.body.result.types;
+    assert.strictEqual(Object.keys(types).length, 10);
+    // Two fixture pages with one overlapping row
+    assert.ok(Object.values(types).every(summary => summary.players > 45));
+    assert.ok(mock.requests.some(r => r.path === '/v1/leaderboards/shop/2'));
+});
+
+test('snapshot: ranks continue across pages without the overlap row', async () => {
+    const { fetchRankedBoard } = loadHandler('_lib/leaderboards');
+    const rows = await fetchRankedBoard('kills', 2);
+    assert.deepStrictEqual(rows.map(row => row.rank), rows.map((_, i) => i + 1));
+    assert.strictEqual(new Set(rows.map(row => row.username)).size, rows.length);
+});
+
+test('history: returns rank and value over time', async () => {
+    const now = Date.now();
+    const board = (value) => ({
+        status: 200,
+        body: { status: 200, result: [{ username: 'Leader', value: '999' }, { username: 'Climber', value: String(value) }] }
+    });
+
+    mock.overrides['/v1/leaderboards/sell/1'] = board(100);
+    await snapshotLeaderboards({ types: ['sell'], now: now - 2 * HOUR });
+    mock.overrides['/v1/leaderboards/sell/1'] = {
+        status: 200,
+        body: { status: 200, result: [{ username: 'Climber', value: '1500' }, { username: 'Leader', value: '999' }] }
+    };
+    await snapshotLeaderboards({ types: ['sell'], now: now - HOUR });
+    delete mock.overrides['/v1/leaderboards/sell/1'];
+
+    const res = await invoke('leaderboard/history', { query: { type: 'sell', user: 'climber', range: '24h' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body.result.points.map(p => [p.rank, p.value]), [[2, 100], [1, 1500]]);
+    assert.deepStrictEqual(res.body.result.change, { value: 1400, rank: 1 });
+});
+
+test('history: range limits the points returned', async () => {
+    mock.overrides['/v1/leaderboards/shards/1'] = {
+        status: 200,
+        body: { status: 200, result: [{ username: 'OldTimer', value: '5' }] }
+    };
+    await snapshotLeaderboards({ types: ['shards'], now: Date.now() - 3 * 86400000 });
+    delete mock.overrides['/v1/leaderboards/shards/1'];
+
+    const recent = await invoke('leaderboard/history', { query: { type: 'shards', user: 'OldTimer', range: '24h' } });
+    assert.strictEqual(recent.body.result.points.length, 0);
+    assert.strictEqual(recent.body.result.change, null);
+
+    const week = await invoke('leaderboard/history', { query: { type: 'shards', user: 'OldTimer', range: '7d' } });
+    assert.strictEqual(week.body.result.points.length, 1);
+});
+
+test('history: validates type and user', async () => {
+    const missing = await invoke('leaderboard/history', { query: { type: 'money' } });
+    assert.strictEqual(missing.statusCode, 400);
+    assert.strictEqual(missing.body.reason, 'Missing Parameter');
+
+    const badType = await invoke('leaderboard/history', { query: { type: 'richest', user: 'Notch' } });
+    assert.strictEqual(badType.body.reason, 'Invalid Parameter');
+
+    const badUser = await invoke('leaderboard/history', { query: { type: 'money', user: 'not a name!' } });
+    assert.strictEqual(badUser.statusCode, 400);
+});
+
+test('store: concurrent writes to one document all succeed', async () => {
+    const { store } = loadHandler('_lib/store');
+    const writes = Array.from({ length: 20 }, (_, i) => store.writeDoc('test', 'doc', { i }));
+    await Promise.all(writes);
+
+    const doc = await store.readDoc('test', 'doc');
+    assert.ok(doc.i >= 0 && doc.i < 20);
+    const files = await fs.readdir(path.join(process.env.DATA_DIR, 'test'));
+    assert.deepStrictEqual(files, ['doc.json']);
+});
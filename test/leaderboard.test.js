@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockUpstream, invoke } = require('./harness.js');
+
+let mock;
+
+test.before(async () => {
+    mock = await startMockUpstream();
+});
+
+test.after(() => mock.close());
+
+test('leaderboard: requires a type', async () => {
+    const res = await invoke('leaderboard', { query: {} });
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.reason, 'Missing Parameter');
+});
+
+test('leaderboard: rejects invalid types', async () => {
+    const res = await invoke('leaderboard', { query: { type: 'richest' } });
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.reason, 'Invalid Parameter');
+    assert.match(res.body.message, /money, kills/);
+});
+
+test('leaderboard: type is case-insensitive', async () => {
+    const res = await invoke('leaderboard', { query: { type: 'MONEY' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.result.length, 45);
+});
+
+test('leaderboard: requests the given page', async () => {
+    const res = await invoke('leaderboard', { query: { type: 'kills', page: '2' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.ok(mock.requests.some(r => r.path === '/v1/leaderboards/kills/2'));
+});
+
+test('leaderboard: invalid pages fall back to page 1', async () => {
+    await invoke('leaderboard', { query: { type: 'deaths', page: 'abc' } });
+    assert.ok(mock.requests.some(r => r.path === '/v1/leaderboards/deaths/1'));
+});
+
+test('leaderboard: pages past the end are empty', async () => {
+    const res = await invoke('leaderboard', { query: { type: 'shards', page: '99' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body.result, []);
+});
+
+test('leaderboard: forwards upstream rate limiting', async () => {
+    mock.overrides['/v1/leaderboards/sell/1'] = {
+        status: 429,
+        headers: { 'Retry-After': '60' },
+        body: { message: 'Too many requests', reason: 'Rate Limited', status: 429 }
+    };
+    const res = await invoke('leaderboard', { query: { type: 'sell' } });
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.body.attempts, 1);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockUpstream, invoke, loadHandler } = require('./harness.js');
+
+let mock;
+let ingestTransactions, runAuctionScan, computeMarketStats;
+
+test.before(async () => {
+    mock = await startMockUpstream();
+    ({ ingestTransactions } = loadHandler('_lib/transactionarchive'));
+    ({ runAuctionScan } = loadHandler('_lib/auctionscan'));
+    ({ computeMarketStats } = loadHandler('_lib/marketstats'));
+});
+
+test.after(() => mock.close());
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+
+// The first listing of the auction fixture, sold five minutes after the scan that saw it
+const LISTING = {
+    item: { id: 'minecraft:ender_pearl', count: 8, display_name: '', lore: [], enchants: { enchantments: { levels: {} } } },
+    price: 12768,
+    seller: { name: 'ProfitPete', uuid: 'fbd1dee0-eeef-540f-ae82-c9e24fdba325' },
+    time_left: 83082969
+};
+
+let soldAt;
+
+test('ingest: a sale seen by the latest auction scan records when it was listed', async () => {
+    const scan = await runAuctionScan();
+    soldAt = scan.scanned_at + 5 * MINUTE;
+
+    const { time_left, ...listing } = LISTING;
+    const page = require('../dev/fixtures/donutsmp/auction/transactions/1.json').body.result;
+    mock.overrides['/v1/auction/transactions/1'] = {
+        status: 200,
+        body: { status: 200, result: [{ ...listing, unixMillisDateSold: soldAt }, ...page] }
+    };
+    const summary = await ingestTransactions();
+    delete mock.overrides['/v1/auction/transactions/1'];
+    assert.strictEqual(summary.added, 101);
+
+    const stats = await computeMarketStats(soldAt + MINUTE);
+    // Listed 48 hours before the listing would have expired
+    assert.strictEqual(stats.time_to_sell.samples, 1);
+    assert.strictEqual(stats.time_to_sell.median_ms, 5 * MINUTE + 48 * HOUR - LISTING.time_left);
+});
+
+test('stats: sale counts and volume per window', async () => {
+    const stats = await computeMarketStats(soldAt + MINUTE);
+
+    // The fixture sales are hours older than the scan, so only the matched sale is in the last hour
+    assert.strictEqual(stats.windows.hour.sales, 1);
+    assert.strictEqual(stats.windows.hour.volume, LISTING.price);
+    assert.strictEqual(stats.windows.day.sales, 101);
+    assert.strictEqual(stats.windows.week.sales, 101);
+    assert.strictEqual(stats.windows.week.volume, 83270475 + LISTING.price);
+
+    // The archive started moments ago, so the week is only partly covered
+    assert.strictEqual(stats.windows.week.complete, false);
+    assert.strictEqual(stats.archive.total, 101);
+});
+
+test('stats: top items are ranked by money volume', async () => {
+    const stats = await computeMarketStats(soldAt + MINUTE);
+    assert.deepStrictEqual(stats.top_items.slice(0, 2).map(item => item.id), ['minecraft:spawner', 'minecraft:mace']);
+    assert.strictEqual(stats.top_items[0].name, 'Spawner');
+    assert.strictEqual(stats.top_items[0].volume, 35064438);
+    assert.ok(stats.top_items.length <= 10);
+    assert.ok(stats.top_items.every(item => item.avg_unit_price === Math.round(item.volume / item.quantity)));
+});
+
+test('stats: sales outside the week are not counted', async () => {
+    const stats = await computeMarketStats(soldAt + 8 * 24 * HOUR);
+    assert.strictEqual(stats.windows.week.sales, 0);
+    assert.deepStrictEqual(stats.top_items, []);
+    assert.strictEqual(stats.time_to_sell.median_ms, null);
+});
+
+test('route: serves the market statistics', async () => {
+    const res = await invoke('transactions/stats');
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(Object.keys(res.body.result.windows), ['hour', 'day', 'week']);
+    assert.strictEqual(res.body.result.archive.total, 101);
+    assert.match(res.headers['cache-control'], /s-maxage=60/);
+
+    const method = await invoke('transactions/stats', { method: 'POST' });
+    assert.strictEqual(method.statusCode, 405);
+});
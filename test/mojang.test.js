@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockUpstream, invoke } = require('./harness.js');
+
+let mock;
+
+test.before(async () => {
+    mock = await startMockUpstream();
+});
+
+test.after(() => mock.close());
+
+test('mojang: returns the player profile', async () => {
+    const res = await invoke('mojang', { query: { username: 'Notch' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.match(res.body.id, /^[0-9a-f]{32}$/);
+});
+
+test('mojang: 404 for unknown players', async () => {
+    const res = await invoke('mojang', { query: { username: 'NobodyAtAll' } });
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(res.body.name, 'NobodyAtAll');
+});
+
+test('mojang: requires a username', async () => {
+    const res = await invoke('mojang', { query: {} });
+    assert.strictEqual(res.statusCode, 400);
+});
+
+test('skin: falls back to the skin hosts when the profile has no skin', async () => {
+    const res = await invoke('skin', { query: { username: 'DonutKing' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.ok(Buffer.isBuffer(res.body));
+    assert.strictEqual(res.body.subarray(1, 4).toString(), 'PNG');
+
+    const paths = mock.requests.map(r => r.path);
+    assert.ok(paths.includes('/mojang-session/session/minecraft/profile/1c12a9b48e8bea8afe15c121453376ed'));
+    assert.ok(paths.includes('/crafatar/skins/1c12a9b48e8bea8afe15c121453376ed'));
+});
+
+test('skin: unknown players get the minotar skin', async () => {
+    const res = await invoke('skin', { query: { username: 'NobodyAtAll' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.ok(mock.requests.some(r => r.path === '/minotar/skin/NobodyAtAll'));
+});
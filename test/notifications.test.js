@@ -0,0 +1,247 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockUpstream, invoke, loadHandler } = require('./harness.js');
+const { createWebhookSink } = require('../dev/webhook-sink.js');
+const moneyPage = require('../dev/fixtures/donutsmp/leaderboards/money/1.json');
+
+let mock;
+let sink;
+let hookUrl;
+let webhooks;
+let discord;
+
+const admin = { authorization: 'Bearer admin-token' };
+const cron = { headers: { authorization: 'Bearer cron-secret' } };
+
+test.before(async () => {
+    mock = await startMockUpstream({
+        env: { ADMIN_TOKEN: 'admin-token', CRON_SECRET: 'cron-secret', WEBHOOK_ALLOW_INSECURE: '1' }
+    });
+    webhooks = loadHandler('_lib/webhooks');
+    discord = loadHandler('_lib/discord');
+
+    sink = createWebhookSink();
+    await new Promise(resolve => sink.listen(0, '127.0.0.1', resolve));
+    hookUrl = `http://127.0.0.1:${sink.address().port}/hook`;
+});
+
+test.after(async () => {
+    sink.closeAllConnections();
+    await new Promise(resolve => sink.close(resolve));
+    await mock.close();
+});
+
+test.beforeEach(() => {
+    sink.received.length = 0;
+    sink.responses.length = 0;
+});
+
+test('webhooks: deliveries are retried after a rate limit', async () => {
+    const now = Date.now();
+    await webhooks.enqueueWebhook(hookUrl, { content: 'hello' }, { now });
+
+    sink.responses.push({ status: 429, body: { retry_after: 2.5 } });
+    const first = await webhooks.processWebhookQueue({ now });
+    assert.deepStrictEqual(first, { sent: 0, retrying: 1, failed: 0, pending: 1 });
+
+    const { pending } = await webhooks.getWebhookQueue();
+    assert.strictEqual(pending[0].next_attempt_at, now + 2500);
+    assert.strictEqual(pending[0].last_error, 'HTTP 429');
+    assert.strictEqual(pending[0].url.endsWith('/…'), true);
+
+    // Not due yet
+    const early = await webhooks.processWebhookQueue({ now: now + 1000 });
+    assert.strictEqual(early.sent, 0);
+
+    const retried = await webhooks.processWebhookQueue({ now: now + 2500 });
+    assert.deepStrictEqual(retried, { sent: 1, retrying: 0, failed: 0, pending: 0 });
+    assert.strictEqual(sink.received.length, 2);
+    assert.deepStrictEqual(sink.received[1].body, { content: 'hello' });
+});
+
+test('webhooks: a run skips deliveries another run has claimed', async () => {
+    const now = Date.now();
+    await webhooks.enqueueWebhook(hookUrl, { content: 'once' }, { now });
+
+    const store = loadHandler('_lib/store').store;
+    const [entry] = await store.read('webhooks', 'queue');
+    // As left by a run that is still sending
+    await store.write('webhooks', 'queue', [{ ...entry, next_attempt_at: now + 60000 }]);
+
+    const overlapping = await webhooks.processWebhookQueue({ now });
+    assert.strictEqual(overlapping.sent, 0);
+    assert.strictEqual(sink.received.length, 0);
+
+    // The lease runs out if that run never finished
+    const later = await webhooks.processWebhookQueue({ now: now + 60000 });
+    assert.strictEqual(later.sent, 1);
+});
+
+test('webhooks: client errors and exhausted retries are given up', async () => {
+    let now = Date.now();
+    await webhooks.enqueueWebhook(hookUrl, { content: 'bad' }, { now });
+    sink.responses.push({ status: 400, body: { message: 'Invalid Form Body' } });
+    const rejected = await webhooks.processWebhookQueue({ now });
+    assert.strictEqual(rejected.failed, 1);
+
+    await webhooks.enqueueWebhook(hookUrl, { content: 'down' }, { now });
+    for (let i = 0; i < webhooks.MAX_ATTEMPTS; i++) {
+        sink.responses.push({ status: 503 });
+        await webhooks.processWebhookQueue({ now });
+        now += 24 * 3600 * 1000;
+    }
+
+    const { pending, failed } = await webhooks.getWebhookQueue();
+    assert.strictEqual(pending.length, 0);
+    assert.strictEqual(failed[0].attempts, webhooks.MAX_ATTEMPTS);
+    assert.strictEqual(failed[0].last_error, 'HTTP 503');
+    assert.strictEqual(failed[1].last_error, 'HTTP 400');
+});
+
+test('discord: rules only accept Discord webhook URLs', () => {
+    const previous = process.env.WEBHOOK_ALLOW_INSECURE;
+    delete process.env.WEBHOOK_ALLOW_INSECURE;
+    try {
+        const rule = { type: 'price', item: 'elytra', percent: 10 };
+        assert.ok(discord.validateRule({ ...rule, webhook_url: 'https://example.com/api/webhooks/1/abc' }).error);
+        assert.ok(discord.validateRule({ ...rule, webhook_url: hookUrl }).error);
+        assert.ok(discord.validateRule({ ...rule, webhook_url: 'https://discord.com/api/webhooks/123456/abc-DEF_1' }).rule);
+    } finally {
+        process.env.WEBHOOK_ALLOW_INSECURE = previous;
+    }
+
+    assert.ok(discord.validateRule({ type: 'rank', webhook_url: hookUrl, leaderboard: 'money', user: 'DonutKing', rank: 0 }).error);
+    assert.ok(discord.validateRule({ type: 'listing', webhook_url: hookUrl, item: 'elytra' }).error);
+    assert.ok(discord.validateRule({ type: 'nope', webhook_url: hookUrl }).error);
+});
+
+test('discord: rules endpoint requires the admin token', async () => {
+    const res = await invoke('discord/rules', {});
+    assert.strictEqual(res.statusCode, 401);
+});
+
+test('discord: listing rules post embeds after the auction scan', async () => {
+    const created = await invoke('discord/rules', {
+        method: 'POST',
+        headers: admin,
+        body: { type: 'listing', webhook_url: hookUrl, item: 'netherite_sword', max_price: 300000 }
+    });
+    assert.strictEqual(created.statusCode, 201);
+    assert.strictEqual(created.body.result.webhook.endsWith('/…'), true);
+
+    const first = await invoke('cron/auction', cron);
+    assert.strictEqual(first.body.result.discord.listings.notifications, 2);
+    // Only the notifications job sends the queue
+    assert.strictEqual(sink.received.length, 0);
+    const sent = await invoke('cron/notifications', cron);
+    assert.strictEqual(sent.body.result.sent, 1);
+
+    const [message] = sink.received.map(delivery => delivery.body);
+    assert.strictEqual(message.username, 'Donut Tracker');
+    assert.deepStrictEqual(message.embeds.map(embed => embed.title), ['1x Netherite Sword listed', '1x Netherite Sword listed']);
+    assert.ok(message.embeds.every(embed => embed.fields.some(field => field.name === 'Seller')));
+
+    // Already posted listings are not posted again
+    const second = await invoke('cron/auction', cron);
+    assert.strictEqual(second.body.result.discord.listings.notifications, 0);
+
+    const deleted = await invoke('discord/rules', { method: 'DELETE', headers: admin, query: { id: created.body.result.id } });
+    assert.strictEqual(deleted.statusCode, 200);
+});
+
+test('discord: price rules post when the median moves by the percent', async () => {
+    const created = await invoke('discord/rules', {
+        method: 'POST',
+        headers: admin,
+        body: { type: 'price', webhook_url: hookUrl, item: 'elytra', percent: 20 }
+    });
+    assert.strictEqual(created.statusCode, 201);
+
+    const item = { id: 'minecraft:elytra', name: 'Elytra', median_price: 1000000, listings: 12, confidence: 'high' };
+    // The first scan sets the baseline
+    assert.strictEqual((await discord.notifyPrices([item])).notifications, 0);
+    assert.strictEqual((await discord.notifyPrices([{ ...item, median_price: 1100000 }])).notifications, 0);
+
+    const moved = await discord.notifyPrices([{ ...item, median_price: 750000 }]);
+    assert.strictEqual(moved.notifications, 1);
+    await webhooks.processWebhookQueue();
+
+    const [embed] = sink.received[0].body.embeds;
+    assert.strictEqual(embed.title, 'Elytra down 25.0%');
+
+    // The baseline moves to the notified price
+    assert.strictEqual((await discord.notifyPrices([{ ...item, median_price: 800000 }])).notifications, 0);
+});
+
+test('discord: a failed snapshot does not reset the tracked rank', async () => {
+    const leaderboards = loadHandler('_lib/leaderboards');
+    const created = await invoke('discord/rules', {
+        method: 'POST',
+        headers: admin,
+        body: { type: 'rank', webhook_url: hookUrl, leaderboard: 'money', user: 'DonutKing', rank: 5 }
+    });
+
+    // DonutKing is already 4th when the rule first checks
+    let now = Date.now();
+    await leaderboards.snapshotLeaderboards({ types: ['money'], pages: 1, now });
+    assert.strictEqual((await discord.notifyRanks(now)).notifications, 0);
+
+    now += 1000;
+    mock.overrides['/v1/leaderboards/money/1'] = { status: 500, body: { status: 500, message: 'Internal error' } };
+    try {
+        const failed = await leaderboards.snapshotLeaderboards({ types: ['money'], pages: 1, now });
+        assert.ok(failed.types.money.error);
+        assert.strictEqual((await discord.notifyRanks(now)).notifications, 0);
+    } finally {
+        delete mock.overrides['/v1/leaderboards/money/1'];
+    }
+
+    // Still 4th in the next good snapshot, so nothing was entered
+    now += 1000;
+    await leaderboards.snapshotLeaderboards({ types: ['money'], pages: 1, now });
+    assert.strictEqual((await discord.notifyRanks(now)).notifications, 0);
+
+    await invoke('discord/rules', { method: 'DELETE', headers: admin, query: { id: created.body.result.id } });
+});
+
+test('discord: rank rules post when a player passes the rank', async () => {
+    const leaderboards = loadHandler('_lib/leaderboards');
+    await invoke('discord/rules', {
+        method: 'POST',
+        headers: admin,
+        body: { type: 'rank', webhook_url: hookUrl, leaderboard: 'money', user: 'DonutKing', rank: 2 }
+    });
+
+    // DonutKing is 4th: the first snapshot only records the rank
+    let now = Date.now();
+    await leaderboards.snapshotLeaderboards({ types: ['money'], pages: 1, now });
+    assert.strictEqual((await discord.notifyRanks(now)).notifications, 0);
+
+    // Then moves up to 2nd
+    const rows = moneyPage.body.result.slice();
+    const [king] = rows.splice(3, 1);
+    rows.splice(1, 0, king);
+    mock.overrides['/v1/leaderboards/money/1'] = { status: 200, body: { status: 200, result: rows } };
+    try {
+        now += 3600 * 1000;
+        await leaderboards.snapshotLeaderboards({ types: ['money'], pages: 1, now });
+        assert.strictEqual((await discord.notifyRanks(now)).notifications, 1);
+    } finally {
+        delete mock.overrides['/v1/leaderboards/money/1'];
+    }
+
+    await webhooks.processWebhookQueue();
+    const [embed] = sink.received[0].body.embeds;
+    assert.strictEqual(embed.title, 'DonutKing reached #2 on money');
+    assert.strictEqual(embed.description, 'Up from #4, passing rank 2.');
+
+    // Staying above the rank doesn't post again
+    now += 3600 * 1000;
+    mock.overrides['/v1/leaderboards/money/1'] = { status: 200, body: { status: 200, result: rows } };
+    try {
+        await leaderboards.snapshotLeaderboards({ types: ['money'], pages: 1, now });
+        assert.strictEqual((await discord.notifyRanks(now)).notifications, 0);
+    } finally {
+        delete mock.overrides['/v1/leaderboards/money/1'];
+    }
+});
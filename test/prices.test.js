@@ -0,0 +1,231 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockUpstream, invoke, loadHandler } = require('./harness.js');
+
+let mock;
+
+test.before(async () => {
+    mock = await startMockUpstream();
+});
+
+test.after(() => mock.close());
+
+test('prices: empty until the first auction scan, without crawling', async () => {
+    const res = await invoke('prices', { query: {} });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body.result, []);
+    assert.strictEqual(res.body.meta.scan, null);
+    assert.strictEqual(mock.requests.length, 0);
+
+    // The scan is left to /api/cron/auction
+    await loadHandler('_lib/auctionscan').runAuctionScan();
+});
+
+test('prices: aggregates listings by item', async () => {
+    const res = await invoke('prices', { query: {} });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.meta.total_listings_scanned, 108);
+    assert.ok(res.body.meta.unique_items > 0);
+    assert.strictEqual(res.body.meta.scan.stale, false);
+
+    for (const item of res.body.result) {
+        assert.ok(item.min_price <= item.median_price && item.median_price <= item.max_price);
+    }
+});
+
+test('prices: serves the aggregate from cache', async () => {
+    const before = mock.requests.length;
+    const res = await invoke('prices', { query: { page: '1' } });
+    assert.strictEqual(res.headers['x-cache'], 'HIT');
+    assert.strictEqual(mock.requests.length, before);
+});
+
+test('prices: sold prices are null until the transaction archive has run', async () => {
+    const res = await invoke('prices', { query: {} });
+    assert.strictEqual(res.body.meta.sold.since, null);
+    assert.ok(res.body.result.every(item => item.sold === null));
+});
+
+test('prices: filters by search and sorts', async () => {
+    const res = await invoke('prices', { query: { search: 'netherite', sort: 'name_asc' } });
+    const names = res.body.result.map(item => item.name);
+    assert.ok(names.length > 0);
+    assert.ok(names.every(name => name.toLowerCase().includes('netherite')));
+    assert.deepStrictEqual(names, [...names].sort((a, b) => a.localeCompare(b)));
+});
+
+test('prices: paginates results', async () => {
+    const res = await invoke('prices', { query: { page: '99' } });
+    assert.strictEqual(res.body.pagination.page, 99);
+    assert.deepStrictEqual(res.body.result, []);
+});
+
+test('prices: each refresh is recorded to the shared history', async () => {
+    const res = await invoke('prices/history', { query: { item: 'minecraft:netherite_sword,diamond', range: '24h' } });
+    assert.strictEqual(res.statusCode, 200);
+
+    const sword = res.body.result.items['minecraft:netherite_sword'];
+    assert.strictEqual(sword.length, 1);
+    assert.ok(sword[0].min <= sword[0].median && sword[0].median <= sword[0].max);
+    assert.ok(sword[0].listings > 0);
+});
+
+test('prices history: buckets points for longer ranges', async () => {
+    const { recordPriceHistory, getPriceHistory } = require('../api/_lib/pricehistory.js');
+    const hour = Math.floor(Date.now() / 3600000) * 3600000 - 3600000;
+    const item = (median, min, max) => ({ id: 'minecraft:beacon', avg_price: median, median_price: median, min_price: min, max_price: max, listings: 2 });
+
+    await recordPriceHistory([item(100, 90, 110)], hour + 1000);
+    await recordPriceHistory([item(200, 150, 300)], hour + 2000);
+
+    const raw = await getPriceHistory('beacon', hour, 0);
+    assert.strictEqual(raw.length, 2);
+
+    const hourly = await getPriceHistory('minecraft:beacon', hour, 3600000);
+    assert.deepStrictEqual(hourly, [{ time: hour, avg: 150, median: 150, min: 90, max: 300, listings: 2 }]);
+});
+
+test('prices history: validates items', async () => {
+    const missing = await invoke('prices/history', { query: {} });
+    assert.strictEqual(missing.statusCode, 400);
+    assert.strictEqual(missing.body.reason, 'Missing Parameter');
+
+    const invalid = await invoke('prices/history', { query: { item: '../secrets' } });
+    assert.strictEqual(invalid.body.reason, 'Invalid Parameter');
+
+    const tooMany = await invoke('prices/history', { query: { item: Array.from({ length: 31 }, (_, i) => `item_${i}`).join(',') } });
+    assert.strictEqual(tooMany.statusCode, 400);
+});
+
+test('prices history: returns OHLC candles with listing volume', async () => {
+    const { recordPriceHistory, candlePoints } = require('../api/_lib/pricehistory.js');
+    const day = Math.floor(Date.now() / 86400000) * 86400000;
+    const item = (median, listings) => ({ id: 'minecraft:dragon_egg', avg_price: median, median_price: median, min_price: median, max_price: median, listings });
+
+    await recordPriceHistory([item(100, 3)], day + 1000);
+    await recordPriceHistory([item(80, 5)], day + 2000);
+    await recordPriceHistory([item(120, 4)], day + 3000);
+
+    const res = await invoke('prices/history', { query: { item: 'minecraft:dragon_egg', range: '30d', format: 'candles' } });
+    assert.strictEqual(res.body.result.format, 'candles');
+    assert.deepStrictEqual(res.body.result.items['minecraft:dragon_egg'], [
+        { time: day, open: 100, high: 120, low: 80, close: 120, volume: 5 }
+    ]);
+
+    assert.strictEqual(candlePoints([{ time: 0, median: 1, listings: 1 }, { time: 7200000, median: 2, listings: 1 }], 3600000).length, 2);
+});
+
+test('pricing: rejects outliers before computing statistics', () => {
+    const { priceStats } = require('../api/_lib/pricing.js');
+    const stats = priceStats([100, 110, 120, 130, 140, 150, 1e9]);
+
+    assert.strictEqual(stats.outliers, 1);
+    assert.strictEqual(stats.max_price, 150);
+    assert.strictEqual(stats.avg_price, 125);
+    assert.strictEqual(stats.sample_size, 6);
+    assert.strictEqual(stats.confidence, 'medium');
+});
+
+test('pricing: median and percentiles interpolate', () => {
+    const { priceStats, percentile } = require('../api/_lib/pricing.js');
+    const stats = priceStats([10, 20, 30, 40]);
+
+    assert.strictEqual(stats.median_price, 25);
+    assert.deepStrictEqual(stats.percentiles, { p10: 13, p25: 18, p50: 25, p75: 33, p90: 37 });
+    assert.strictEqual(percentile([5], 90), 5);
+    assert.strictEqual(priceStats([5]).confidence, 'low');
+});
+
+test('prices: the troll listing does not skew its item', async () => {
+    const res = await invoke('prices', { query: { search: 'spawner' } });
+    const spawner = res.body.result.find(item => item.id === 'minecraft:spawner');
+    assert.strictEqual(spawner.listings, 5);
+    assert.strictEqual(spawner.outliers, 1);
+    assert.ok(spawner.max_price < 1e7 && spawner.avg_price < 1e7);
+    assert.ok(spawner.percentiles.p10 <= spawner.median_price && spawner.median_price <= spawner.percentiles.p90);
+});
+
+test('prices: sorts by any statistic', async () => {
+    const res = await invoke('prices', { query: { sort: 'p90_asc' } });
+    const values = res.body.result.map(item => item.percentiles.p90);
+    assert.deepStrictEqual(values, [...values].sort((a, b) => a - b));
+
+    const byConfidence = await invoke('prices', { query: { sort: 'confidence_desc' } });
+    const sizes = byConfidence.body.result.map(item => item.sample_size);
+    assert.deepStrictEqual(sizes, [...sizes].sort((a, b) => b - a));
+});
+
+test('prices: inherited object keys are not sort keys', async () => {
+    const res = await invoke('prices', { query: { sort: 'constructor_asc' } });
+    assert.strictEqual(res.statusCode, 200);
+    const prices = res.body.result.map(item => item.avg_price);
+    assert.deepStrictEqual(prices, [...prices].sort((a, b) => b - a));
+});
+
+test('pricing: variant keys come from enchantments and notable lore', () => {
+    const { variantKey } = require('../api/_lib/pricing.js');
+
+    assert.strictEqual(variantKey({ id: 'minecraft:stick' }), 'minecraft:stick');
+    assert.strictEqual(variantKey({
+        id: 'minecraft:netherite_sword',
+        enchants: { enchantments: { levels: { 'minecraft:unbreaking': 3, 'minecraft:sharpness': 5 } } }
+    }), 'minecraft:netherite_sword[sharpness=5,unbreaking=3]');
+    assert.strictEqual(variantKey({
+        id: 'minecraft:spawner',
+        lore: ['§7Type: §aZombie', 'Placed by Notch', { text: '', extra: [{ text: 'Tier: ' }, { text: '2' }] }]
+    }), 'minecraft:spawner[tier:2,type:zombie]');
+});
+
+test('prices: items break down by variant and enchantment value', async () => {
+    const res = await invoke('prices', { query: { search: 'netherite sword' } });
+    const sword = res.body.result.find(item => item.id === 'minecraft:netherite_sword');
+
+    const plain = sword.variants.find(variant => variant.key === 'minecraft:netherite_sword');
+    const sharp = sword.variants.find(variant => variant.enchantments.sharpness === 5);
+    assert.ok(plain && sharp);
+    assert.ok(sharp.median_price > plain.median_price);
+    assert.strictEqual(sword.variants.reduce((sum, variant) => sum + variant.listings, 0), sword.listings);
+
+    const sharpness = sword.enchantment_values.find(value => value.enchantment === 'sharpness');
+    assert.strictEqual(sharpness.level, 5);
+    assert.ok(sharpness.added_price > 0);
+});
+
+test('sold prices: volume-weighted per unit from archived sales', async () => {
+    const { ingestTransactions } = require('../api/_lib/transactionarchive.js');
+    const { addSoldPrices } = require('../api/_lib/soldprices.js');
+    await ingestTransactions();
+
+    // Just after the newest fixture sale; every fixture sale is within the last day
+    const now = 1792400000000 + 60000;
+    const items = [
+        { id: 'minecraft:spawner', listings: 1 },
+        { id: 'minecraft:shulker_box', listings: 4 },
+        { id: 'minecraft:bedrock', listings: 2 }
+    ];
+    const coverage = await addSoldPrices(items, now);
+    assert.strictEqual(coverage.complete_24h, false);
+
+    const [spawner, shulker, unsold] = items;
+    assert.deepStrictEqual(spawner.sold, {
+        last_price: 4846927,
+        last_sold_at: 1792399734616,
+        avg_price_24h: Math.round(35064438 / 9),
+        avg_price_7d: Math.round(35064438 / 9),
+        sales_24h: 9,
+        sales_7d: 9,
+        sell_through: 90
+    });
+
+    // Two of the three shulker box sales were filled boxes, priced by their contents instead
+    assert.strictEqual(shulker.sold.sales_7d, 1);
+    assert.strictEqual(shulker.sold.sell_through, 20);
+
+    assert.strictEqual(unsold.sold.last_price, null);
+    assert.strictEqual(unsold.sold.avg_price_7d, null);
+    assert.strictEqual(unsold.sold.sell_through, 0);
+
+    // A week later none of it counts
+    await addSoldPrices(items, now + 8 * 24 * 3600000);
+    assert.strictEqual(items[0].sold.sales_7d, 0);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockUpstream, invoke, loadHandler } = require('./harness.js');
+
+let mock;
+let buildRankIndex;
+
+test.before(async () => {
+    mock = await startMockUpstream({ env: { CRON_SECRET: 'cron-secret' } });
+    ({ buildRankIndex } = loadHandler('_lib/rankindex'));
+});
+
+test.after(() => mock.close());
+
+const notFound = { status: 404, body: { message: 'Not found', status: 404 } };
+
+/**
+ * A player's entry for one type from /api/rank
+ */
+async function rankOf(user, type) {
+    const res = await invoke('rank', { query: { user, type } });
+    assert.strictEqual(res.statusCode, 200);
+    return res.body.result.ranks[0];
+}
+
+test('cron: requires the cron secret', async () => {
+    const res = await invoke('cron/ranks', { headers: { authorization: 'Bearer wrong' } });
+    assert.strictEqual(res.statusCode, 401);
+});
+
+test('rank: nothing is ranked before the index is built', async () => {
+    const res = await invoke('rank', { query: { user: 'ObbyWall' } });
+    assert.strictEqual(res.body.result.ranks.length, 10);
+    assert.ok(res.body.result.ranks.every(entry => entry.rank === null && entry.indexed_at === null));
+});
+
+test('cron: walks every board to its last page', async () => {
+    const res = await invoke('cron/ranks', { headers: { authorization: 'Bearer cron-secret' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['cache-control'], 'no-store');
+
+    const types = res.body.result.types;
+    assert.strictEqual(Object.keys(types).length, 10);
+    // Two fixture pages with one overlapping row
+    assert.ok(Object.values(types).every(summary => summary.players === 50 && summary.finished));
+
+    // Fresh indexes are left alone
+    const again = await buildRankIndex();
+    assert.deepStrictEqual(again.types, {});
+});
+
+test('rank: exact positions with percentiles', async () => {
+    const top = await rankOf('obbywall', 'money');
+    assert.deepStrictEqual(
+        [top.rank, top.players, top.top_percent, top.percentile, top.complete],
+        [1, 50, 2, 98, true]
+    );
+    assert.strictEqual(top.value, 897593467.61);
+
+    // The last row of the second page
+    const last = await rankOf('DiamondDan', 'money');
+    assert.deepStrictEqual([last.rank, last.top_percent, last.percentile], [50, 100, 0]);
+
+    const unranked = await rankOf('NobodyHere', 'money');
+    assert.strictEqual(unranked.rank, null);
+    assert.strictEqual(unranked.players, 50);
+});
+
+test('rank: an interrupted walk resumes and the old index is served meanwhile', async () => {
+    mock.overrides['/v1/leaderboards/kills/2'] = notFound;
+    const first = await buildRankIndex({ types: ['kills'], maxAge: 0 });
+    delete mock.overrides['/v1/leaderboards/kills/2'];
+    assert.strictEqual(first.types.kills.finished, false);
+    assert.strictEqual(first.types.kills.next_page, 2);
+    assert.match(first.types.kills.error, /kills page 2/);
+
+    assert.strictEqual((await rankOf('NetherNate', 'kills')).rank, 50);
+
+    const before = mock.requests.length;
+    const resumed = await buildRankIndex({ types: ['kills'], maxAge: 0 });
+    assert.deepStrictEqual(mock.requests.slice(before).map(r => r.path), ['/v1/leaderboards/kills/2']);
+    assert.strictEqual(resumed.types.kills.players, 50);
+    assert.strictEqual((await rankOf('NetherNate', 'kills')).rank, 50);
+});
+
+test('rank: a board cut off by the page cap has no percentiles', async () => {
+    const res = await buildRankIndex({ types: ['deaths'], maxAge: 0, maxPages: 1 });
+    assert.strictEqual(res.types.deaths.players, 45);
+
+    const entry = await rankOf('FlipperFred', 'deaths');
+    assert.strictEqual(entry.rank, 1);
+    assert.strictEqual(entry.complete, false);
+    assert.strictEqual(entry.percentile, null);
+    assert.strictEqual(entry.top_percent, null);
+});
+
+test('rank: validates parameters', async () => {
+    assert.strictEqual((await invoke('rank', { query: {} })).statusCode, 400);
+    assert.strictEqual((await invoke('rank', { query: { user: 'bad name!' } })).statusCode, 400);
+    assert.strictEqual((await invoke('rank', { query: { user: 'ObbyWall', type: 'wealth' } })).statusCode, 400);
+    assert.strictEqual((await invoke('rank', { method: 'POST', query: { user: 'ObbyWall' } })).statusCode, 405);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockUpstream, invoke, loadHandler } = require('./harness.js');
+
+let mock;
+let sellers;
+
+test.before(async () => {
+    mock = await startMockUpstream();
+    sellers = loadHandler('_lib/sellers');
+});
+
+test.after(() => mock.close());
+
+test('seller: requires a valid username', async () => {
+    const missing = await invoke('seller', { query: {} });
+    assert.strictEqual(missing.statusCode, 400);
+
+    const invalid = await invoke('seller', { query: { user: 'not a name' } });
+    assert.strictEqual(invalid.statusCode, 400);
+});
+
+test('seller: a player without auction activity has an empty profile', async () => {
+    const res = await invoke('seller', { query: { user: 'NobodyHere' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.result.active.count, 0);
+    assert.strictEqual(res.body.result.sales.count, 0);
+    assert.deepStrictEqual(res.body.result.favorite_items, []);
+});
+
+test('seller: combines live auctions with archived sales', async () => {
+    await loadHandler('_lib/auctionscan').runAuctionScan();
+    await loadHandler('_lib/transactionarchive').ingestTransactions();
+
+    // Names match case-insensitively
+    const res = await invoke('seller', { query: { user: 'coincarl' } });
+    assert.strictEqual(res.statusCode, 200);
+    const profile = res.body.result;
+
+    assert.strictEqual(profile.username, 'CoinCarl');
+    assert.strictEqual(profile.active.count, 4);
+    assert.strictEqual(profile.active.value, 1410010);
+    assert.ok(profile.active.listings.every(listing => listing.seller.name === 'CoinCarl'));
+
+    assert.strictEqual(profile.sales.count, 8);
+    assert.strictEqual(profile.sales.volume, 2129577);
+    assert.strictEqual(profile.sales.last_sale, 1792399933692);
+    assert.strictEqual(profile.sales.first_sale, 1792394032578);
+    assert.strictEqual(profile.sales.recent[0].item.id, 'minecraft:end_crystal');
+    assert.ok(profile.sales.recent.every(sale => sale.k === undefined));
+
+    // Two sales each, experience bottles with the higher volume
+    assert.deepStrictEqual(profile.favorite_items.slice(0, 2).map(item => [item.id, item.sales]), [
+        ['minecraft:experience_bottle', 2],
+        ['minecraft:diamond', 2]
+    ]);
+
+    assert.ok(profile.market.listings.compared > 0);
+    assert.ok(profile.market.sales.compared > 0);
+});
+
+test('seller: the listing index is built once per served scan', async () => {
+    const scans = loadHandler('_lib/auctionscan');
+    const index = await sellers.getListingIndex();
+    assert.strictEqual(index.id, (await scans.getLatestScanMeta()).id);
+    assert.strictEqual(index.sellers.get('coincarl').length, 4);
+    assert.strictEqual(await sellers.getListingIndex(), index);
+
+    await scans.runAuctionScan();
+    const next = await sellers.getListingIndex();
+    assert.notStrictEqual(next, index);
+    assert.strictEqual(next.id, (await scans.getLatestScanMeta()).id);
+});
+
+test('seller: discounts compare per-unit prices to the variant median', () => {
+    const reference = { 'minecraft:diamond': { median_price: 1000 } };
+    const item = (id, count = 1, extra = {}) => ({ id, count, ...extra });
+
+    const result = sellers.marketDiscount([
+        { item: item('minecraft:diamond', 2), price: 1600 },
+        { item: item('minecraft:diamond'), price: 1200 },
+        // Unpriced items and filled containers are skipped
+        { item: item('minecraft:bedrock'), price: 5 },
+        { item: item('minecraft:diamond', 1, { contents: [{ id: 'minecraft:dirt', count: 1 }] }), price: 1 }
+    ], reference);
+    assert.deepStrictEqual(result, { avg_discount: 0, compared: 2 });
+
+    assert.deepStrictEqual(sellers.marketDiscount([], reference), { avg_discount: null, compared: 0 });
+});
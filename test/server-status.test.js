@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockUpstream, invoke } = require('./harness.js');
+
+let mock;
+
+test.before(async () => {
+    mock = await startMockUpstream();
+});
+
+test.after(() => mock.close());
+
+test('server-status: proxies the Minecraft server status', async () => {
+    const res = await invoke('server-status', {});
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.online, true);
+    assert.ok(res.body.players.online > 0);
+    assert.ok(mock.requests.some(r => r.path === '/mcsrvstat/2/donutsmp.net'));
+});
+
+test('server-status: upstream failures are reported', async () => {
+    mock.overrides['/mcsrvstat/2/donutsmp.net'] = { status: 500, body: { error: 'down' } };
+    try {
+        const res = await invoke('server-status', {});
+        assert.strictEqual(res.statusCode, 502);
+    } finally {
+        delete mock.overrides['/mcsrvstat/2/donutsmp.net'];
+    }
+});
+
+test('discord-invite: proxies the invite member counts', async () => {
+    const res = await invoke('discord-invite', {});
+    assert.strictEqual(res.statusCode, 200);
+    assert.ok(res.body.approximate_member_count > res.body.approximate_presence_count);
+});
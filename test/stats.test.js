@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockUpstream, invoke } = require('./harness.js');
+
+let mock;
+
+test.before(async () => {
+    mock = await startMockUpstream({ env: { UPSTREAM_TIMEOUT: '200' } });
+});
+
+test.after(() => mock.close());
+
+for (const route of ['stats', 'lookup']) {
+    test(`${route}: rejects non-GET methods`, async () => {
+        const res = await invoke(route, { method: 'POST', query: { user: 'Notch' } });
+        assert.strictEqual(res.statusCode, 405);
+        assert.strictEqual(res.body.reason, 'Invalid Request');
+    });
+
+    test(`${route}: answers CORS preflight`, async () => {
+        const res = await invoke(route, { method: 'OPTIONS' });
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.headers['access-control-allow-origin'], '*');
+    });
+
+    test(`${route}: requires a username`, async () => {
+        const res = await invoke(route, { query: {} });
+        assert.strictEqual(res.statusCode, 400);
+        assert.strictEqual(res.body.reason, 'Missing Parameter');
+    });
+
+    test(`${route}: rejects invalid usernames without calling upstream`, async () => {
+        const before = mock.requests.length;
+        const res = await invoke(route, { query: { user: 'not a name!' } });
+        assert.strictEqual(res.statusCode, 400);
+        assert.strictEqual(res.body.reason, 'Invalid Parameter');
+        assert.strictEqual(mock.requests.length, before);
+    });
+}
+
+test('stats: forwards upstream data with cache headers', async () => {
+    const first = await invoke('stats', { query: { user: 'Notch' } });
+    assert.strictEqual(first.statusCode, 200);
+    assert.ok(first.body.result.money);
+    assert.strictEqual(first.headers['x-cache'], 'MISS');
+
+    const second = await invoke('stats', { query: { user: 'Notch' } });
+    assert.strictEqual(second.headers['x-cache'], 'HIT');
+    assert.deepStrictEqual(second.body, first.body);
+});
+
+test('stats: sends the API key to upstream', async () => {
+    await invoke('stats', { query: { user: 'DonutKing' } });
+    const request = mock.requests.find(r => r.path === '/v1/stats/DonutKing');
+    assert.strictEqual(request.headers.authorization, 'Bearer test-key');
+});
+
+test('stats: forwards upstream errors with attempts', async () => {
+    const res = await invoke('stats', { query: { user: 'NoSuchPlayer' } });
+    assert.strictEqual(res.statusCode, 500);
+    assert.strictEqual(res.body.message, 'This user does not exist.');
+    assert.strictEqual(res.body.attempts, 2);
+    assert.strictEqual(res.headers['cache-control'], 'no-store');
+});
+
+test('stats: reports upstream timeouts', async () => {
+    mock.overrides['/v1/stats/Slowpoke'] = { delay: 500, status: 200, body: { status: 200, result: {} } };
+    const res = await invoke('stats', { query: { user: 'Slowpoke' } });
+    assert.strictEqual(res.statusCode, 500);
+    assert.strictEqual(res.body.reason, 'Timeout');
+    assert.strictEqual(res.body.attempts, 2);
+});
+
+test('lookup: forwards online player data', async () => {
+    const res = await invoke('lookup', { query: { user: 'DonutKing' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.result.location, 'overworld');
+});
+
+test('lookup: forwards offline player errors', async () => {
+    const res = await invoke('lookup', { query: { user: 'Grumm' } });
+    assert.strictEqual(res.statusCode, 500);
+    assert.match(res.body.message, /not currently online/);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockUpstream, invoke, loadHandler } = require('./harness.js');
+
+let mock;
+let ingestTransactions;
+
+test.before(async () => {
+    mock = await startMockUpstream({ env: { CRON_SECRET: 'cron-secret' } });
+    ({ ingestTransactions } = loadHandler('_lib/transactionarchive'));
+});
+
+test.after(() => mock.close());
+
+// Just after the newest fixture sale
+const NOW = 1792400000000 + 60000;
+
+test('cron: requires the cron secret', async () => {
+    const res = await invoke('cron/transactions', { headers: { authorization: 'Bearer wrong' } });
+    assert.strictEqual(res.statusCode, 401);
+});
+
+test('ingest: stores both fixture pages, then stops at the first page it has seen', async () => {
+    const res = await invoke('cron/transactions', { headers: { authorization: 'Bearer cron-secret' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['cache-control'], 'no-store');
+    assert.strictEqual(res.body.result.added, 100);
+    assert.strictEqual(res.body.result.duplicates, 0);
+
+    const before = mock.requests.length;
+    const again = await ingestTransactions({ now: NOW });
+    assert.strictEqual(again.added, 0);
+    assert.strictEqual(again.caught_up, true);
+    // Page 1 held nothing new, so page 2 was not requested
+    assert.deepStrictEqual(mock.requests.slice(before).map(r => r.path), ['/v1/auction/transactions/1']);
+});
+
+test('ingest: adds only the sales that are new', async () => {
+    const page = require('../dev/fixtures/donutsmp/auction/transactions/1.json').body.result;
+    const sale = {
+        item: { id: 'minecraft:beacon', count: 1 },
+        price: 750000,
+        seller: { name: 'ArchiveTester', uuid: '11111111-2222-3333-4444-555555555555' },
+        unixMillisDateSold: NOW - 1000
+    };
+    mock.overrides['/v1/auction/transactions/1'] = { status: 200, body: { status: 200, result: [sale, ...page.slice(0, 49)] } };
+    const summary = await ingestTransactions({ now: NOW });
+    delete mock.overrides['/v1/auction/transactions/1'];
+
+    // Page 1 held a new sale, so page 2 was checked as well
+    assert.strictEqual(summary.added, 1);
+    assert.strictEqual(summary.duplicates, 99);
+    assert.strictEqual(summary.caught_up, true);
+});
+
+test('archive: newest first with archive totals', async () => {
+    const res = await invoke('transactions/archive', { query: { to: String(NOW) } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.result.length, 50);
+    assert.strictEqual(res.body.result[0].item.id, 'minecraft:beacon');
+    assert.strictEqual(res.body.meta.archive.total, 101);
+
+    const times = res.body.result.map(sale => sale.t);
+    assert.deepStrictEqual(times, [...times].sort((a, b) => b - a));
+    assert.ok(res.body.result.every(sale => sale.k === undefined));
+});
+
+test('archive: filters by item, seller, price and time', async () => {
+    const byItem = await invoke('transactions/archive', { query: { item: 'obsidian', to: String(NOW) } });
+    assert.strictEqual(byItem.body.result.length, 12);
+    assert.ok(byItem.body.result.every(sale => sale.item.id === 'minecraft:obsidian'));
+    assert.strictEqual(byItem.body.meta.filters.item, 'minecraft:obsidian');
+
+    const bySeller = await invoke('transactions/archive', { query: { seller: 'coincarl', to: String(NOW) } });
+    assert.strictEqual(bySeller.body.result.length, 8);
+
+    const byPrice = await invoke('transactions/archive', { query: { min_price: '100000', max_price: '500000', to: String(NOW) } });
+    assert.ok(byPrice.body.result.length > 0);
+    assert.ok(byPrice.body.result.every(sale => sale.price >= 100000 && sale.price <= 500000));
+
+    const byTime = await invoke('transactions/archive', { query: { from: '1792396843224', to: '1792400000000' } });
+    assert.strictEqual(byTime.body.result.length, 50);
+});
+
+test('archive: cursor pagination walks every sale once', async () => {
+    const seen = [];
+    let cursor;
+    do {
+        const res = await invoke('transactions/archive', { query: { limit: '30', to: String(NOW), ...(cursor ? { cursor } : {}) } });
+        assert.strictEqual(res.statusCode, 200);
+        seen.push(...res.body.result);
+        cursor = res.body.pagination.next_cursor;
+    } while (cursor);
+
+    assert.strictEqual(seen.length, 101);
+    const keys = new Set(seen.map(sale => `${sale.seller.name}|${sale.t}|${sale.price}`));
+    assert.strictEqual(keys.size, 101);
+});
+
+test('archive: rejects invalid parameters', async () => {
+    const cursor = await invoke('transactions/archive', { query: { cursor: 'not-a-cursor' } });
+    assert.strictEqual(cursor.statusCode, 400);
+
+    const price = await invoke('transactions/archive', { query: { min_price: '10', max_price: '5' } });
+    assert.strictEqual(price.statusCode, 400);
+
+    const seller = await invoke('transactions/archive', { query: { seller: 'bad name!' } });
+    assert.strictEqual(seller.statusCode, 400);
+
+    const method = await invoke('transactions/archive', { method: 'POST' });
+    assert.strictEqual(method.statusCode, 405);
+});
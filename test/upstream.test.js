@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { parseRetryAfter, resolveRetryPolicy, isRetryable, withRetry } = require('../api/_lib/retry.js');
+const { createTokenBucket, RateLimitError } = require('../api/_lib/ratelimit.js');
+const { createKeyPool, parseKeys, maskKey } = require('../api/_lib/keypool.js');
+const { createSingleFlight } = require('../api/_lib/singleflight.js');
+const { createUpstreamClient } = require('../api/_lib/upstream.js');
+
+test('parseRetryAfter handles seconds and HTTP dates', () => {
+    assert.strictEqual(parseRetryAfter('3'), 3000);
+    assert.strictEqual(parseRetryAfter(null), null);
+    assert.strictEqual(parseRetryAfter('nonsense'), null);
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    assert.strictEqual(parseRetryAfter('Thu, 01 Jan 2026 00:00:05 GMT', now), 5000);
+});
+
+test('resolveRetryPolicy only retries GET', () => {
+    assert.strictEqual(resolveRetryPolicy('POST').retries, 0);
+    assert.strictEqual(resolveRetryPolicy('GET', false).retries, 0);
+    assert.strictEqual(resolveRetryPolicy('GET', { retries: 5 }).retries, 5);
+});
+
+test('isRetryable covers transient failures only', () => {
+    assert.ok(isRetryable({ success: false, status: 503 }));
+    assert.ok(isRetryable({ success: false, status: 429 }));
+    assert.ok(!isRetryable({ success: false, status: 404 }));
+    assert.ok(!isRetryable({ success: false, status: 429, retryable: false }));
+    assert.ok(!isRetryable({ success: true, status: 200 }));
+});
+
+test('withRetry retries until success and counts attempts', async () => {
+    const statuses = [503, 429, 200];
+    const result = await withRetry(
+        async () => {
+            const status = statuses.shift();
+            return { success: status === 200, status, retryAfter: status === 429 ? 1 : null };
+        },
+        { retries: 3, baseDelay: 1, maxDelay: 5, maxRetryAfter: 1000 }
+    );
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.attempts, 3);
+});
+
+test('withRetry gives up when Retry-After is too long', async () => {
+    const result = await withRetry(
+        async () => ({ success: false, status: 429, retryAfter: 60000 }),
+        { retries: 3, baseDelay: 1, maxDelay: 5, maxRetryAfter: 1000 }
+    );
+    assert.strictEqual(result.attempts, 1);
+});
+
+test('token bucket serves interactive requests before background', async () => {
+    const bucket = createTokenBucket({ ratePerMinute: 6000, burst: 1, reserve: 0 });
+    const order = [];
+    await bucket.acquire('default');
+    await Promise.all([
+        bucket.acquire('background').then(() => order.push('background')),
+        bucket.acquire('interactive').then(() => order.push('interactive'))
+    ]);
+    assert.deepStrictEqual(order, ['interactive', 'background']);
+    assert.strictEqual(bucket.stats().granted.interactive, 1);
+});
+
+test('token bucket rejects after the wait budget', async () => {
+    const bucket = createTokenBucket({ ratePerMinute: 1, burst: 1 });
+    await bucket.acquire();
+    await assert.rejects(bucket.acquire('default', 20), RateLimitError);
+    assert.strictEqual(bucket.stats().rejected, 1);
+});
+
+test('key pool rotates and quarantines failing keys', () => {
+    const pool = createKeyPool(parseKeys('aaaa1111, bbbb2222, aaaa1111,'));
+    assert.strictEqual(pool.size, 2);
+
+    const first = pool.next();
+    const second = pool.next();
+    assert.notStrictEqual(first.key, second.key);
+
+    pool.report(first, 401);
+    pool.report(second, 429, 5000);
+    assert.strictEqual(pool.next(), null);
+    assert.ok(pool.waitTime() > 4000 && pool.waitTime() <= 5000);
+
+    const health = pool.health();
+    assert.deepStrictEqual(health.map(key => key.state), ['unauthorized', 'rate_limited']);
+    assert.strictEqual(health[0].key, maskKey('aaaa1111'));
+    assert.ok(!JSON.stringify(health).includes('aaaa1111'));
+});
+
+test('key pool least_recently_limited prefers keys never limited', () => {
+    const pool = createKeyPool(['k1', 'k2'], { strategy: 'least_recently_limited' });
+    const first = pool.next();
+    pool.report(first, 429, 1);
+    const state = pool.health().find(key => key.rate_limited === 1);
+    assert.ok(state);
+    assert.notStrictEqual(pool.next().key, first.key);
+});
+
+test('single flight shares concurrent calls', async () => {
+    const flight = createSingleFlight();
+    let runs = 0;
+    const work = () => new Promise(resolve => setTimeout(() => resolve(++runs), 10));
+    const results = await Promise.all([flight.do('a', work), flight.do('a', work), flight.do('b', work)]);
+    assert.deepStrictEqual(results.sort(), [1, 1, 2]);
+    assert.deepStrictEqual(flight.stats(), { calls: 3, executed: 2, shared: 1, inflight: 0 });
+});
+
+test('an upstream 429 pauses the shared bucket for Retry-After', async () => {
+    const server = http.createServer((req, res) => {
+        res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '2' });
+        res.end(JSON.stringify({ message: 'Too many requests', status: 429 }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const client = createUpstreamClient({
+            baseUrl: `http://127.0.0.1:${server.address().port}`,
+            apiKeys: ['k1'],
+            rateLimit: { ratePerMinute: 6000, burst: 10 }
+        });
+        const result = await client.request('/stats/Someone', { retry: false, cache: false });
+        assert.strictEqual(result.status, 429);
+
+        const { rate_limit } = client.metrics();
+        assert.strictEqual(rate_limit.paused, 1);
+        assert.ok(rate_limit.paused_for_ms > 1000);
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('an upstream 429 without Retry-After still pauses the shared bucket', async () => {
+    const server = http.createServer((req, res) => {
+        res.writeHead(429, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'Too many requests', status: 429 }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const client = createUpstreamClient({
+            baseUrl: `http://127.0.0.1:${server.address().port}`,
+            apiKeys: ['k1'],
+            rateLimit: { ratePerMinute: 6000, burst: 10 }
+        });
+        const result = await client.request('/stats/Someone', { retry: false, cache: false });
+        assert.strictEqual(result.status, 429);
+
+        const { rate_limit } = client.metrics();
+        assert.strictEqual(rate_limit.paused, 1);
+        assert.ok(rate_limit.paused_for_ms > 0 && rate_limit.paused_for_ms <= 1000);
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+});